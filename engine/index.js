@@ -10,4 +10,7 @@
 const webciv = require("./webciv-core");
 webciv.defs = require("./webciv-defs");
 webciv.mapgen = require("./webciv-mapgen");
+webciv.mapcodec = require("./webciv-mapcodec");
+webciv.ai = require("./webciv-ai");
+webciv.replay = require("./webciv-replay");
 module.exports = webciv;
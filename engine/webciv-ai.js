@@ -22,6 +22,8 @@ const TerrainModifier = core.TerrainModifier;
 const TC_Land = TerrainCategory.Land;
 const TC_Ocean = TerrainCategory.Ocean;
 
+const DiplomacyState = core.DiplomacyState;
+
 const ai = Object.create(null);
 
 // ============================================================================
@@ -33,6 +35,7 @@ class BaseAI {
     this.game = null;
     this.map = null;
     this.player = null;
+    this.random = null;
   }
 
   onAttach(player) {
@@ -41,12 +44,18 @@ class BaseAI {
     this.game = game;
     this.map = game.map;
     this.player = player;
+
+    // AI must not use `game.random` as its decisions are not part of the game
+    // state - replays only contain commands, which would consume a different
+    // sequence of random numbers than the AI did.
+    this.random = new Random(Math.abs(game.random.getSeed() + player.uuid * 7919) % 2147483646 + 1);
   }
 
   onDetach(player) {
     this.game = null;
     this.map = null;
     this.player = null;
+    this.random = null;
   }
 
   onTurn() {
@@ -66,6 +75,31 @@ class SimpleAI extends BaseAI {
     const map = this.map;
     const player = this.player;
 
+    if (player.research === -1) {
+      const available = player.getAvailableTechnologies();
+      if (available.length) {
+        const tech = defs.technologies[available[this.random.irand(available.length)]];
+        game.execute({ type: "SetResearch", player: player.slot, tech: tech.link });
+      }
+    }
+
+    this.$doDiplomacy();
+
+    const cities = player.cities;
+    for (var i = 0; i < cities.length; i++) {
+      const city = cities[i];
+      if (!city.production) {
+        const item = cities.length < 8 ? "*[Settlers]" : "*[Militia]";
+        game.execute({ type: "SetProduction", player: player.slot, city: city.uuid, item: item });
+      }
+
+      // Turn citizens into entertainers until the disorder is over.
+      while (city.disorder && city.workingTiles.length) {
+        const t = city.workingTiles[city.workingTiles.length - 1];
+        game.execute({ type: "UnassignTile", player: player.slot, city: city.uuid, x: t.x, y: t.y });
+      }
+    }
+
     const units = player.units;
     const possible = [];
 
@@ -79,27 +113,26 @@ class SimpleAI extends BaseAI {
       possible.length = 0;
 
       if (unit.id === defs.units.byName("Settlers").id && tile.preventCity === 0) {
-        game.buildCity(unit);
+        game.execute({ type: "FoundCity", player: player.slot, unit: unit.uuid });
       }
       else {
         for (var n = 0; n < Neighbors.length; n++) {
           const nx = map.normX(unit.x + Neighbors[n].x);
-          const ny = map.normX(unit.y + Neighbors[n].y);
+          const ny = map.normY(unit.y + Neighbors[n].y);
 
           // Clipped coordinate.
           if (x === nx && y === ny)
             continue;
           
-          const nTile = map.getTile(nx, ny);
-          if (nTile.category === TC_Land)
-            possible.push(nTile);
+          if (game.canMove(unit, nx, ny) === "")
+            possible.push(map.getTile(nx, ny));
         }
 
         if (possible.length) {
-          const n = this.game.random.irand(possible.length);
+          const n = this.random.irand(possible.length);
           const nTile = possible[n];
 
-          this.map.moveUnit(unit, nTile.x, nTile.y);
+          game.execute({ type: "MoveUnit", player: player.slot, unit: unit.uuid, x: nTile.x, y: nTile.y });
         }
       }
 
@@ -107,7 +140,81 @@ class SimpleAI extends BaseAI {
         i++;
     }
 
-    game.endOfTurn();
+    game.execute({ type: "EndTurn", player: player.slot });
+  }
+
+  // Answers proposals and occasionally offers a treaty to a player it has
+  // been at war or in ceasefire with for a while.
+  $doDiplomacy() {
+    const game = this.game;
+    const diplomacy = game.diplomacy;
+    const player = this.player;
+
+    const proposals = diplomacy.proposals.filter(function(p) { return p.to === player.slot; });
+    for (var i = 0; i < proposals.length; i++) {
+      const id = proposals[i].id;
+      if (this.$evaluateProposal(proposals[i]) < 0 || !game.execute({ type: "AcceptProposal", player: player.slot, proposal: id }).ok)
+        game.execute({ type: "RejectProposal", player: player.slot, proposal: id });
+    }
+
+    for (var i = 0; i < game.players.length; i++) {
+      const other = game.players[i];
+      if (!other || other === player || other.eliminated || diplomacy.findProposal(player, other))
+        continue;
+
+      const relation = diplomacy.getRelation(player, other);
+      if (!relation || game.turnIndex - relation.since < 10 || this.random.irand(10) !== 0)
+        continue;
+
+      if (relation.state === DiplomacyState.War || relation.state === DiplomacyState.Ceasefire) {
+        const treaty = relation.state === DiplomacyState.War ? DiplomacyState.Ceasefire : DiplomacyState.Peace;
+        game.execute({ type: "Propose", player: player.slot, to: other.slot, offer: [], demand: [], treaty: treaty });
+      }
+    }
+  }
+
+  // Value of a proposal for the player - value of items received minus value
+  // of items given, adjusted by the attitude towards the proposer.
+  $evaluateProposal(proposal) {
+    const game = this.game;
+    const diplomacy = game.diplomacy;
+    const player = this.player;
+    const other = game.players[proposal.from];
+
+    var value = diplomacy.getAttitude(player, other) - diplomacy.getViolations(other) * 10;
+    var i;
+
+    for (i = 0; i < proposal.offer.length; i++)
+      value += this.$evaluateItem(proposal.offer[i]);
+
+    for (i = 0; i < proposal.demand.length; i++)
+      value -= this.$evaluateItem(proposal.demand[i]);
+
+    switch (proposal.treaty) {
+      case DiplomacyState.Ceasefire:
+      case DiplomacyState.Peace:
+        value += 10;
+        break;
+
+      case DiplomacyState.Alliance:
+        value -= 50;
+        break;
+    }
+
+    return value;
+  }
+
+  $evaluateItem(item) {
+    switch (item.type) {
+      case "tech": return this.player.getResearchCost();
+      case "gold": return item.amount;
+      case "city": {
+        const city = this.game.getCity(item.city);
+        return city ? city.size * 40 : 0;
+      }
+      case "map" : return 20;
+    }
+    return 0;
   }
 }
 ai.SimpleAI = SimpleAI;
@@ -69,7 +69,7 @@ class Observable {
       while (i < len) {
         const listener = arr[i];
         if (listener.func === func && listener.this === thisArg) {
-          listener.splice(i, 1);
+          arr.splice(i, 1);
           result = true;
           len--;
           continue;
@@ -306,6 +306,22 @@ const Random = (function() {
     irand(max) {
       return Math.floor(this.drand(max));
     }
+
+    // Serialize the generator state so it can continue where it stopped.
+    serialize() {
+      return { seed: this.$seed, index: this.$index, value: this.$sval };
+    }
+
+    // Restore the generator state previously returned by `serialize()`.
+    deserialize(data) {
+      if (!data || typeof data.seed !== "number" || typeof data.index !== "number" || typeof data.value !== "number")
+        FAILED(`Invalid random generator state`);
+
+      this.$seed = data.seed;
+      this.$sval = data.value;
+      this.$index = data.index;
+      return this;
+    }
   };
 })();
 webciv.Random = Random;
@@ -518,6 +534,16 @@ const TerrainModifier = {
 };
 webciv.TerrainModifier = TerrainModifier;
 
+/**
+ * Unit domain, describes where a unit can move.
+ */
+const UnitDomain = freeze({
+  Land       : 0,
+  Sea        : 1,
+  Air        : 2
+});
+webciv.UnitDomain = UnitDomain;
+
 // ============================================================================
 // [GameLimits]
 // ============================================================================
@@ -531,6 +557,40 @@ const GameLimits = freeze({
 });
 webciv.GameLimits = GameLimits;
 
+// ============================================================================
+// [SaveFormat]
+// ============================================================================
+
+/**
+ * Save format, see `Game.serialize()` and `Game.deserialize()`.
+ *
+ * The version must be incremented each time the format changes in a way that
+ * makes older saves incompatible.
+ */
+const SaveFormat = freeze({
+  Name: "webciv-save",
+  Version: 2
+});
+webciv.SaveFormat = SaveFormat;
+
+// Verify that `id` read from a save is a valid index of `items` (definitions).
+function SAVE_ID(items, id, allowNone) {
+  if (allowNone && id === -1)
+    return id;
+
+  if (typeof id !== "number" || id < 0 || id >= items.length || Math.floor(id) !== id)
+    FAILED(`Save references ${items.name} #${id}, which is not defined`);
+  return id;
+}
+
+// Get a player object from a player slot read from a save.
+function SAVE_PLAYER(game, slot) {
+  const player = typeof slot === "number" ? game.players[slot] : undefined;
+  if (!player)
+    FAILED(`Save references player #${slot}, which doesn't exist`);
+  return player;
+}
+
 // ============================================================================
 // [GameDataItem]
 // ============================================================================
@@ -567,6 +627,13 @@ class GameDataItem {
     }
   }
 
+  /**
+   * Get whether the item has `flag` in its flags array (see defs).
+   */
+  hasFlag(flag) {
+    return isArray(this.flags) && this.flags.indexOf(flag) !== -1;
+  }
+
   finalize(defs) {
     // Asset should be valid. However, `assetX` and `assetY` are not validated
     // as it's not possible to do it here (definitions have no access to asset
@@ -627,6 +694,8 @@ class TerrainData extends GameDataItem {
     this.flags      = info.flags      || 0;// Terrain flags.
     this.category   = info.category   || 0;// Terrain category.
     this.defense    = info.defense    || 0;// Defense bonus (100 == 100%, etc).
+    this.sight      = info.sight      || 0;// Sight radius bonus of land units.
+    this.move       = info.move       || 1;// Move cost (move points).
 
     this.food       = info.food       || 0;// Base food.
     this.production = info.production || 0;// Base production.
@@ -678,8 +747,31 @@ class ModifierData extends GameDataItem {
     super(info, "Modifier");
     if (!info) info = NoObject;
 
-    this.flags    = info.flags || 0;       // Modifier flags.
-    this.mask     = 0;                     // Modifier mask.
+    const terrain = INFO_ARRAY(info.terrain);
+    const prereq = INFO_ARRAY(info.prereq);
+
+    this.terrain    = terrain;             // Terrain requirements (OR), any land if empty.
+    this.prereq     = prereq;              // Modifier prerequisites (links).
+    this.flags      = info.flags      || 0;// Modifier flags.
+    this.mask       = info.mask       || 0;// Modifier mask, see `TerrainModifier`.
+    this.time       = info.time       || 0;// Work per terrain move cost, 0 if it cannot be built.
+
+    this.food       = info.food       || 0;// Bonus food.
+    this.production = info.production || 0;// Bonus production.
+    this.commerce   = info.commerce   || 0;// Bonus commerce.
+
+    // Autogenerated properties:
+    this.terrainIds = [];                  // Ids of `terrain`, resolved by `finalize()`.
+    this.prereqTechs = [];                 // Ids of required technologies, resolved by `GameDefs.finalize()`.
+    this.prereqModifiers = [];             // Ids of modifiers required on the tile, resolved by `GameDefs.finalize()`.
+  }
+
+  finalize(defs) {
+    super.finalize(defs);
+
+    this.terrainIds.length = 0;
+    for (var i = 0; i < this.terrain.length; i++)
+      this.terrainIds.push(defs.verifiedLink(this.terrain[i], "Terrain").id);
   }
 }
 webciv.ModifierData = ModifierData;
@@ -696,13 +788,21 @@ class UnitData extends GameDataItem {
     super(info, "Unit");
     if (!info) info = NoObject;
 
-    this.flags    = info.flags   || 0;     // Unit flags.
-    this.prereq   = info.prereq  || [];    // Unit prerequisites.
-
-    this.cost     = info.cost    || 0;     // Unit cost (production).
-    this.moves    = info.moves   || 0;     // Count of moves.
-    this.attack   = info.attack  || 0;     // Attack strength.
-    this.defense  = info.defense || 0;     // Defense strength.
+    this.flags     = info.flags     || 0;  // Unit flags.
+    this.prereq    = info.prereq    || []; // Unit prerequisites (links).
+    this.prereqTechs = [];                 // Ids of required technologies, resolved by `GameDefs.finalize()`.
+    this.prereqBuildings = [];             // Ids of required buildings, resolved by `GameDefs.finalize()`.
+
+    this.domain    = info.domain    || 0;  // Unit domain, see `UnitDomain`.
+
+    this.cost      = info.cost      || 0;  // Unit cost (production).
+    this.upkeep    = info.upkeep    || 0;  // Unit upkeep per turn (gold).
+    this.moves     = info.movement  || 0;  // Count of moves (move points).
+    this.sight     = info.sight     || 1;  // Sight radius (tiles).
+    this.attack    = info.attack    || 0;  // Attack strength.
+    this.defense   = info.defense   || 0;  // Defense strength.
+    this.hitpoints = info.hitpoints || 10; // Hit points.
+    this.firepower = info.firepower || 1;  // Damage done per won combat round.
   }
 }
 webciv.UnitData = UnitData;
@@ -720,10 +820,13 @@ class BuildingData extends GameDataItem {
     if (!info) info = NoObject;
 
     this.flags    = info.flags   || 0;     // Building flags.
-    this.prereq   = info.prereq  || [];    // Building prerequisites.
+    this.prereq   = info.prereq  || [];    // Building prerequisites (links).
+    this.prereqTechs = [];                 // Ids of required technologies, resolved by `GameDefs.finalize()`.
+    this.prereqBuildings = [];             // Ids of required buildings, resolved by `GameDefs.finalize()`.
 
     this.cost     = info.cost    || 0;     // Building cost (production).
     this.upkeep   = info.upkeep  || 0;     // Building upkeep per turn.
+    this.culture  = info.culture || 0;     // Building culture per turn.
   }
 }
 webciv.BuildingData = BuildingData;
@@ -741,7 +844,8 @@ class TechnologyData extends GameDataItem {
     if (!info) info = NoObject;
 
     this.flags    = info.flags   || 0;     // Technology flags.
-    this.prereq   = info.prereq  || [];    // Technology prerequisites.
+    this.prereq   = info.prereq  || [];    // Technology prerequisites (links).
+    this.prereqTechs = [];                 // Ids of required technologies, resolved by `GameDefs.finalize()`.
   }
 }
 webciv.TechnologyData = TechnologyData;
@@ -992,6 +1096,7 @@ class GameDefs {
 
     for (k in defs) this.$finalizeItemLinks(defs[k]);
     for (k in defs) this.$finalizeItemInstances(defs[k]);
+    this.$finalizePrereqs();
     this.$rebuildTerrainResourcesInfo();
 
     this.finalized = true;
@@ -1086,6 +1191,172 @@ class GameDefs {
     }
   }
 
+  /**
+   * Resolves `prereq` links of technologies, buildings, units, and modifiers
+   * into `prereqTechs`, `prereqBuildings`, and `prereqModifiers` id arrays (an
+   * item only accepts kinds it has an array for) and validates the graph they
+   * form - prerequisites must exist and be of the right kind, must not form a
+   * cycle, and each item must be reachable from items that have no
+   * prerequisites.
+   *
+   * All problems found are reported at once by a single `GameError`.
+   */
+  $finalizePrereqs() {
+    const errors = [];
+    const KindKeys = { Technology: "prereqTechs", Building: "prereqBuildings", Modifier: "prereqModifiers" };
+
+    // Items that can be required, the rest (units) can only require them.
+    const graphs = [
+      { name: "Technologies", items: this.technologies, key: "prereqTechs"    , reachable: null, cycles: null },
+      { name: "Buildings"   , items: this.buildings   , key: "prereqBuildings", reachable: null, cycles: null },
+      { name: "Modifiers"   , items: this.modifiers   , key: "prereqModifiers", reachable: null, cycles: null }
+    ];
+    const lists = [this.technologies, this.buildings, this.units, this.modifiers];
+
+    var i, j, k;
+
+    // Kinds of prerequisites `item` accepts, for error messages.
+    const acceptedKinds = function(item) {
+      return Object.keys(KindKeys).filter(function(kind) { return item[KindKeys[kind]]; }).join(" or ").toLowerCase();
+    };
+
+    // Resolve links.
+    for (i = 0; i < lists.length; i++) {
+      const items = lists[i];
+      for (j = 0; j < items.length; j++) {
+        const item = items[j];
+        const prereq = item.prereq;
+
+        for (k in KindKeys)
+          if (item[KindKeys[k]]) item[KindKeys[k]].length = 0;
+
+        for (var n = 0; n < prereq.length; n++) {
+          const link = prereq[n];
+          const req = this.resolveLink(link);
+          const key = req ? KindKeys[req.kind] : undefined;
+
+          if (req === undefined)
+            errors.push(`${item.kind} '${item.name}' requires '${link}', which is not defined`);
+          else if (req === item)
+            errors.push(`${item.kind} '${item.name}' requires itself`);
+          else if (key !== undefined && item[key])
+            item[key].push(req.id);
+          else
+            errors.push(`${item.kind} '${item.name}' requires '${link}', which is not a ${acceptedKinds(item)}`);
+        }
+      }
+    }
+
+    // Detect cycles (self references are already reported).
+    for (i = 0; i < graphs.length; i++) {
+      const graph = graphs[i];
+      const items = graph.items;
+
+      graph.reachable = new Uint8Array(items.length);
+      graph.cycles = this.$findPrereqCycles(items, graph.key);
+
+      for (j = 0; j < graph.cycles.length; j++)
+        errors.push(`${graph.name} form a cycle: ${graph.cycles[j].map(function(id) { return items[id].name; }).join(" -> ")}`);
+    }
+
+    // Detect unreachable items - an item is reachable if all its prerequisites
+    // are, which is iterated until nothing changes. Items that have an error
+    // of their own are not reported again.
+    const isInvalid = function(item) {
+      var count = 0;
+      for (var kind in KindKeys)
+        if (item[KindKeys[kind]]) count += item[KindKeys[kind]].length;
+      return count !== item.prereq.length;
+    };
+
+    const isReachable = function(item) {
+      if (isInvalid(item))
+        return false;
+
+      for (var g = 0; g < graphs.length; g++) {
+        const ids = item[graphs[g].key];
+        if (ids) {
+          for (var n = 0; n < ids.length; n++)
+            if (!graphs[g].reachable[ids[n]])
+              return false;
+        }
+      }
+
+      return true;
+    };
+
+    var changed = true;
+    while (changed) {
+      changed = false;
+
+      for (i = 0; i < graphs.length; i++) {
+        const graph = graphs[i];
+        for (j = 0; j < graph.items.length; j++) {
+          if (!graph.reachable[j] && isReachable(graph.items[j])) {
+            graph.reachable[j] = 1;
+            changed = true;
+          }
+        }
+      }
+    }
+
+    const inCycle = function(cycles, id) {
+      return cycles.some(function(cycle) { return cycle.indexOf(id) !== -1; });
+    };
+
+    for (i = 0; i < graphs.length; i++) {
+      const graph = graphs[i];
+      for (j = 0; j < graph.items.length; j++) {
+        const item = graph.items[j];
+        if (!graph.reachable[j] && !isInvalid(item) && !inCycle(graph.cycles, j))
+          errors.push(`${item.kind} '${item.name}' is unreachable`);
+      }
+    }
+
+    for (i = 0; i < this.units.length; i++) {
+      const unit = this.units[i];
+      if (!isInvalid(unit) && !isReachable(unit))
+        errors.push(`Unit '${unit.name}' is unreachable`);
+    }
+
+    if (errors.length)
+      FAILED(`Definitions contain ${errors.length} prerequisite error(s):\n  ${errors.join("\n  ")}`);
+  }
+
+  /**
+   * Finds cycles in a graph of `items` connected by id arrays `key`. Returns
+   * an array of cycles, each as an array of ids in the order they require
+   * each other. Self references are not considered cycles here.
+   */
+  $findPrereqCycles(items, key) {
+    const cycles = [];
+    const state = new Uint8Array(items.length); // 0 (new), 1 (visiting), 2 (visited).
+    const path = [];
+
+    const visit = function(id) {
+      state[id] = 1;
+      path.push(id);
+
+      const edges = items[id][key];
+      for (var i = 0; i < edges.length; i++) {
+        const next = edges[i];
+        if (state[next] === 0)
+          visit(next);
+        else if (state[next] === 1)
+          cycles.push(path.slice(path.indexOf(next)).concat(next));
+      }
+
+      path.pop();
+      state[id] = 2;
+    };
+
+    for (var id = 0; id < items.length; id++)
+      if (state[id] === 0)
+        visit(id);
+
+    return cycles;
+  }
+
   /**
    * Rebuilds a `TerrainData.resources` for each registered terrain type
    * based on all resources registered.
@@ -1140,6 +1411,7 @@ class GameTile {
     this.flags = 0;                        // Terrain flags.
     this.modifiers = 0;                    // Terrain modifiers' as bitfield.
     this.resource = -1;                    // Terrain resource id or -1 if none.
+    this.riverFlow = -1;                   // River flow direction (index to `Brush.Sides`) or -1.
 
     this.deepness = -1;                    // Distance to closest land / ocean tile.
     this.oceanId = -1;                     // Ocean ID, see GameMap.oceans.
@@ -1176,9 +1448,68 @@ class GameUnit {
     this.deleted = false;                  // The unit was deleted.
 
     this.id = info.id || 0;                // Unit id, see UnitData.
-    this.moves = 0;                        // Unit moves left (reset each turn).
+    this.moves = 0;                        // Unit moves left in move fragments (reset each turn).
+    this.hp = 0;                           // Unit hit points left.
+
+    this.veteran = false;                  // Unit is a veteran.
+    this.fortified = false;                // Unit is fortified (until it moves).
+    this.improvement = -1;                 // Modifier the unit works on (id) or -1 (until it moves).
 
     this.next = null;                      // Next unit on the tile (linked list).
+
+    // Units start with full hit points.
+    this.hp = game.defs.units[this.id].hitpoints;
+  }
+
+  serialize() {
+    // Position of the unit in the tile's linked list, so the order of stacked
+    // units survives `deserialize()`.
+    var stack = 0;
+    var cur = this.game.map.getTile(this.x, this.y).units;
+
+    while (cur !== null && cur !== this) {
+      cur = cur.next;
+      stack++;
+    }
+
+    return {
+      uuid  : this.uuid,
+      x     : this.x,
+      y     : this.y,
+      player: this.player.slot,
+      id    : this.id,
+      moves    : this.moves,
+      hp       : this.hp,
+      veteran  : this.veteran,
+      fortified: this.fortified,
+      improvement: this.improvement,
+      stack    : stack
+    };
+  }
+
+  static deserialize(game, slot, data) {
+    const map = game.map;
+
+    if (data.x < 0 || data.y < 0 || data.x >= map.w || data.y >= map.h)
+      FAILED(`Save contains unit #${slot} at [${data.x}, ${data.y}], which is outside of the map`);
+
+    const unit = new GameUnit(game, slot, {
+      x     : data.x,
+      y     : data.y,
+      player: SAVE_PLAYER(game, data.player),
+      id    : SAVE_ID(game.defs.units, data.id)
+    });
+
+    unit.uuid = data.uuid;
+    unit.moves = data.moves || 0;
+
+    if (typeof data.hp === "number")
+      unit.hp = GameUtils.clamp(data.hp, 1, game.defs.units[unit.id].hitpoints);
+
+    unit.veteran = Boolean(data.veteran);
+    unit.fortified = Boolean(data.fortified);
+    unit.improvement = SAVE_ID(game.defs.modifiers, typeof data.improvement === "number" ? data.improvement : -1, true);
+    return unit;
   }
 }
 webciv.GameUnit = GameUnit;
@@ -1208,14 +1539,21 @@ class GameCity {
 
     this.buildings         = [];           // Array of buildings.
     this.buildingsBits     = [];           // Bit-array of all buildings built.
-    this.workingTiles      = [];           // Working tiles.
+    this.workingTiles      = [];           // Worked tiles as `{ x, y, locked }`, see `arrange()`.
+    this.specialists       = 0;            // Citizens that don't work any tile (entertainers).
+
+    this.happy             = 0;            // Happy citizens, see `getHappiness()`.
+    this.content           = 0;            // Content citizens.
+    this.unhappy           = 0;            // Unhappy citizens.
+    this.disorder          = false;        // City is in civil disorder.
 
-    this.foodPerTurn       = 0;            // Food collected (per turn).
+    this.foodPerTurn       = 0;            // Food surplus (per turn).
     this.productionPerTurn = 0;            // Production (per turn).
     this.commercePerTurn   = 0;            // Commerce (per turn).
 
-    this.goldPerTurn       = 0;            // Gold (per turn).
-    this.upkeepPerTurn     = 0;            // Upkeep (per turn).
+    this.goldPerTurn       = 0;            // Gold (per turn), from taxes.
+    this.luxuryPerTurn     = 0;            // Luxury (per turn).
+    this.upkeepPerTurn     = 0;            // Upkeep of buildings (per turn).
 
     this.sciencePerTurn    = 0;            // Science (per turn).
     this.culturePerTurn    = 0;            // Culture (per turn).
@@ -1224,6 +1562,10 @@ class GameCity {
     this.productionCount   = 0;            // Production (accumulated).
     this.cultureCount      = 0;            // Culture (accumulated).
 
+    this.production        = "";           // Link of the unit or building being produced.
+    this.queue             = [];           // Links of items to produce after `production`.
+    this.repeat            = false;        // Completed items are queued again (repeat orders).
+
     const buildings = info.buildings;
     if (buildings) {
       for (var i = 0; i < buildings.length; i++)
@@ -1263,668 +1605,4315 @@ class GameCity {
 
     return building;
   }
-}
-webciv.GameCity = GameCity;
 
-// ============================================================================
-// [GamePlayer]
-// ============================================================================
+  removeBuilding(nameOrId) {
+    const id = this.game.defs.buildings.byNameOrId(nameOrId);
+    if (!this.hasBuilding(id))
+      return false;
 
-/**
- * Game player.
- */
-class GamePlayer extends Observable {
-  constructor(game, slot, info) {
-    super();
+    this.buildingsBits[id >> 4] &= ~(1 << (id & 0x0F));
 
-    this.game = game;                      // Game that owns the player.
-    this.slot = slot;                      // Player slot.
-    this.uuid = 0;                         // Unique ID, will be set by the `Game`.
+    const buildings = this.buildings;
+    for (var i = 0; i < buildings.length; i++) {
+      if (buildings[i].id === id) {
+        buildings.splice(i, 1);
+        break;
+      }
+    }
 
-    this.name = info.name || "";           // Player name.
-    this.civ = info.civ;                   // Player civilization.
-    this.colorSlot = info.colorSlot || 0;  // Color slot the player is using.
+    return true;
+  }
 
-    this.units = [];                       // Player units.
-    this.cities = [];                      // Player cities.
+  /**
+   * Get the amount of food needed to grow.
+   */
+  getFoodBox() {
+    return (this.size + 1) * this.game.rules["FoodBoxPerSize"];
+  }
 
-    this.fog = null;                       // Fog of war, each bit represents one tile.
-    this.uncovered = null;                 // Uncovered area, each bit represents one tile.
+  /**
+   * Check whether the city can work a tile at [x, y].
+   *
+   * Returns an empty string if it can, otherwise a message that describes why
+   * it cannot. A tile that is already worked by this city can be worked.
+   */
+  canWorkTile(x, y) {
+    const map = this.game.map;
+    const player = this.player;
 
-    this.ai = info.ai || null;             // AI attached to the player.
-  }
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= map.w || y >= map.h)
+      return `Tile [${x}, ${y}] is out of bounds`;
 
-  setAI(ai) {
-    if (this.ai)
-      this.ai.onDetach(this);
+    const dx = map.flipX ? GameUtils.distance(x, this.x, map.w) : Math.abs(x - this.x);
+    const dy = map.flipY ? GameUtils.distance(y, this.y, map.h) : Math.abs(y - this.y);
 
-    this.ai = ai;
-    if (this.ai)
-      this.ai.onAttach(this);
-  }
+    if (dx > 2 || dy > 2 || (dx === 2 && dy === 2))
+      return `Tile [${x}, ${y}] is outside of the city radius`;
 
-  _assignUnit(unit) {
-    this.units.push(unit);
-  }
+    if (dx === 0 && dy === 0)
+      return `Tile [${x}, ${y}] is the city center, which is always worked`;
 
-  _removeUnit(unit) {
-    this.units.splice(this.units.indexOf(unit), 1);
-  }
+    const tile = map.getTile(x, y);
+    if (tile.workedBy !== null && tile.workedBy !== this)
+      return `Tile [${x}, ${y}] is worked by another city`;
 
-  _assignCity(city) {
-    const cx = city.x;
-    const cy = city.y;
+    if (tile.territory !== -1 && tile.territory !== player.slot)
+      return `Tile [${x}, ${y}] is in a territory of another player`;
 
-    const map = this.game.map;
+    if (tile.units !== null && player.isEnemy(tile.units.player))
+      return `Tile [${x}, ${y}] is occupied by enemy units`;
 
-    var B = Brush.CityToCity, i;
-    for (var i = 0; i < B.length; i++) {
-      const tile = map.getTileSafe(cx + B[i].x, cy + B[i].y);
-      tile.preventCity++;
-    }
+    return "";
+  }
 
-    this.cities.push(city);
+  // Rating used to pick tiles automatically, prefers food, then production,
+  // and then commerce.
+  $rateTile(tile) {
+    const o = { food: 0, production: 0, commerce: 0, defense: 0 };
+    this.game.calcTile(o, tile);
+    return o.food * 4 + o.production * 2 + o.commerce;
   }
 
-  _removeCity(city) {
-    const cx = city.x;
-    const cy = city.y;
+  $releaseTiles() {
+    const map = this.game.map;
+    const working = this.workingTiles;
 
-    var B = Brush.CityToCity, i;
-    for (var i = 0; i < B.length; i++) {
-      const tile = map.getTileSafe(cx + B[i].x, cy + B[i].y);
-      tile.preventCity--;
+    for (var i = 0; i < working.length; i++) {
+      const tile = map.getTile(working[i].x, working[i].y);
+      if (tile.workedBy === this)
+        tile.workedBy = null;
     }
-
-    this.cities.splice(this.cities.indexOf(city), 1);
   }
 
-  uncoverTile(mx, my) {
-    const game = this.game;
-    const map = game.map;
+  $claimTiles() {
+    const map = this.game.map;
+    const working = this.workingTiles;
 
-    const w = map.w;
-    const h = map.h;
+    for (var i = 0; i < working.length; i++)
+      map.getTile(working[i].x, working[i].y).workedBy = this;
+  }
 
-    if (mx < 0 || my < 0 || mx >= w || my >= h) {
-      mx %= w; if (mx < 0) mx += w;
-      my %= h; if (my < 0) my += h;
-    }
+  /**
+   * Arrange citizens of the city.
+   *
+   * Locked tiles (assigned manually) are kept if they can still be worked,
+   * citizens that are neither specialists nor work a locked tile are moved to
+   * the best tiles available. Each tile can be worked by a single city only,
+   * see `GameTile.workedBy`.
+   */
+  arrange() {
+    const map = this.game.map;
+    const size = this.size;
 
-    const pos = my * w + mx;
-    const idx = pos >>> 5;
-    const bit = 1 << (pos & 0x1F);
+    this.$releaseTiles();
 
-    const uncovered = this.uncovered;
-    if (!(uncovered[idx] & bit)) {
-      uncovered[idx] |= bit;
+    const working = [];
+    const prev = this.workingTiles;
 
-      game.emit("uncovered", mx, my, this);
+    for (var i = 0; i < prev.length; i++) {
+      const t = prev[i];
+      if (t.locked && working.length < size && this.canWorkTile(t.x, t.y) === "") {
+        working.push(t);
+        map.getTile(t.x, t.y).workedBy = this;
+      }
     }
-  }
-
-  uncoverRect(rx, ry, rw, rh) {
-    const game = this.game;
-    const map = game.map;
 
-    const w = map.w;
-    const h = map.h;
+    this.specialists = Math.min(this.specialists, size - working.length);
 
-    var x0 = rx;
-    var y0 = ry;
-    var x1 = x0 + rw;
-    var y1 = y0 + rh;
+    const free = size - working.length - this.specialists;
+    if (free > 0) {
+      const candidates = [];
+      const B = Brush.City;
 
-    if (x0 < 0 || y0 < 0 || x1 >= w || y1 >= h) {
-      x0 = map.normX(x0);
-      y0 = map.normY(y0);
-      x1 = map.normX(x1);
-      y1 = map.normY(y1);
-    }
+      for (var i = 0; i < B.length; i++) {
+        const x = map.normX(this.x + B[i].x);
+        const y = map.normY(this.y + B[i].y);
 
-    const uncovered = this.uncovered;
+        if (this.canWorkTile(x, y) !== "")
+          continue;
 
-    var y = y0;
-    while (y !== y1) {
-      var x = x0;
-      while (x !== x1) {
-        const pos = y * w + x;
-        const idx = pos >>> 5;
-        const bit = 1 << (pos & 0x1F);
+        const tile = map.getTile(x, y);
+        if (tile.workedBy === this)
+          continue;
 
-        if (!(uncovered[idx] & bit)) {
-          uncovered[idx] |= bit;
-          game.emit("uncovered", x, y, this);
-        }
+        tile.workedBy = this;
+        candidates.push({ x: x, y: y, tile: tile, rating: this.$rateTile(tile), index: i });
+      }
 
-        if (++x === w) x = 0;
+      candidates.sort(function(a, b) { return b.rating - a.rating || a.index - b.index; });
+      for (var i = 0; i < candidates.length; i++) {
+        const c = candidates[i];
+        if (i < free)
+          working.push({ x: c.x, y: c.y, locked: false });
+        else
+          c.tile.workedBy = null;
       }
-      if (++y === h) y = 0;
-    }
-  }
 
-  $subscribe() {
-    this.game.on("mapResize", this.$onMapResize, this);
-    this.$onMapResize();
-  }
+      // Not enough tiles, the rest of citizens become specialists.
+      if (candidates.length < free)
+        this.specialists += free - candidates.length;
+    }
 
-  $unsubscribe() {
-    this.game.off("mapResize", this.$onMapResize, this);
+    this.workingTiles = working;
+    this.game.emit("invalidateRect", this.x - 2, this.y - 2, 5, 5);
   }
 
-  $onMapResize() {
+  /**
+   * Work a tile at [x, y] and lock it, so `arrange()` keeps it. A specialist
+   * or a citizen working the worst unlocked tile is moved to the tile.
+   *
+   * The tile must pass `canWorkTile()` and `canAssignTile()`.
+   */
+  assignTile(x, y) {
     const map = this.game.map;
-    const w = map.w;
-    const h = map.h;
+    const working = this.workingTiles;
 
-    if (w && h) {
-      const size = Math.floor((w * h + 31) / 32);
-      this.fog       = new Int32Array(size);
-      this.uncovered = new Int32Array(size);
+    for (var i = 0; i < working.length; i++) {
+      if (working[i].x === x && working[i].y === y) {
+        working[i].locked = true;
+        return;
+      }
+    }
+
+    if (this.specialists > 0) {
+      this.specialists--;
     }
     else {
-      this.fog       = null;
-      this.uncovered = null;
-    }
-  }
-}
-webciv.GamePlayer = GamePlayer;
-
-// ============================================================================
-// [GameMap]
-// ============================================================================
-
-/**
- * Game map.
- */
-class GameMap {
-  constructor(game) {
-    this.game = game;                      // Game or editor that owns the map.
+      var worst = -1;
+      var worstRating = Infinity;
 
-    this.w = 0;                            // Map width (in tiles).
-    this.h = 0;                            // Map height (in tiles).
-    this.size = 0;                         // Map size - `width * height`.
-    this.tiles = [];                       // One dimension array containing all tiles.
+      for (var i = 0; i < working.length; i++) {
+        if (working[i].locked)
+          continue;
 
-    this.flipX = true;                     // X coordinate flips.
-    this.flipY = true;                     // Y coordinate flips.
+        const rating = this.$rateTile(map.getTile(working[i].x, working[i].y));
+        if (rating < worstRating) {
+          worst = i;
+          worstRating = rating;
+        }
+      }
 
-    this.normX = null;                     // Normalize (flip or bound) X coordinate.
-    this.normY = null;                     // Normalize (flip or bound) Y coordinate.
+      if (worst === -1)
+        FAILED(`City '${this.name}' has no citizen to work tile [${x}, ${y}]`);
 
-    this.supressNotifications = 0;         // Supress notifications about map changes.
-    this.dirty = false;                    // The map is dirty and needs recalculation.
-    this.oceans = [];                      // Array of separate oceans / lakes.
-    this.continents = [];                  // Array of separate continents / islands.
+      map.getTile(working[worst].x, working[worst].y).workedBy = null;
+      working.splice(worst, 1);
+    }
 
-    this._normSetup();
+    working.push({ x: x, y: y, locked: true });
+    map.getTile(x, y).workedBy = this;
+    this.game.invalidateTile(x, y);
   }
 
-  resize(w, h, initialId) {
-    const tiles = this.tiles;
+  /**
+   * Check whether a citizen can be moved to a tile, see `assignTile()`.
+   */
+  canAssignTile(x, y) {
+    const error = this.canWorkTile(x, y);
+    if (error) return error;
 
-    const defs = this.game.defs;
-    const category = defs.terrains[initialId].category;
+    const working = this.workingTiles;
+    if (this.specialists > 0)
+      return "";
 
-    this.w = w;
-    this.h = h;
-    this.size = w * h;
-    this.dirty = true;
+    for (var i = 0; i < working.length; i++)
+      if (!working[i].locked || (working[i].x === x && working[i].y === y))
+        return "";
 
-    tiles.length = 0;
-    for (var y = 0; y < h; y++) {
-      for (var x = 0; x < w; x++) {
-        const tile = new GameTile(x, y);
+    return `City '${this.name}' has no citizen to work tile [${x}, ${y}]`;
+  }
 
-        tile.id = initialId;
-        tile.category = category;
-        tiles.push(tile);
+  /**
+   * Stop working a tile at [x, y], the citizen becomes a specialist.
+   */
+  unassignTile(x, y) {
+    const working = this.workingTiles;
+
+    for (var i = 0; i < working.length; i++) {
+      if (working[i].x === x && working[i].y === y) {
+        working.splice(i, 1);
+        this.game.map.getTile(x, y).workedBy = null;
+        this.specialists++;
+        this.game.invalidateTile(x, y);
+        return true;
       }
     }
 
-    if (this.game)
-      this.game.emit("mapResize");
-
-    return this;
+    return false;
   }
 
-  _normSetup() {
-    this.normX = this.flipX ? this._flipX : this._clampX;
-    this.normY = this.flipY ? this._flipY : this._clampY;
-  }
+  /**
+   * Update the per-turn output of the city from the tiles it works.
+   *
+   * A city in civil disorder produces nothing and its commerce only yields
+   * luxury. Emits "cityDisorder" or "cityOrderRestored" when it changes.
+   */
+  update() {
+    const game = this.game;
+    const map = game.map;
+    const working = this.workingTiles;
 
-  _flipX(x) {
-    const w = this.w;
-    if (x < 0 || x >= w) {
-      x = Math.floor(x % w);
-      if (x < 0) x += w;
+    const o = { food: 0, production: 0, commerce: 0, defense: 0 };
+    game.calcTile(o, map.getTile(this.x, this.y));
+
+    var food       = o.food;
+    var production = o.production;
+    var commerce   = o.commerce;
+
+    for (var i = 0; i < working.length; i++) {
+      game.calcTile(o, map.getTile(working[i].x, working[i].y));
+      food       += o.food;
+      production += o.production;
+      commerce   += o.commerce;
     }
-    return x;
-  }
 
-  _flipY(y) {
-    const h = this.h;
-    if (y < 0 || y >= h) {
-      y = Math.floor(y % h);
-      if (y < 0) y += h;
+    this.foodPerTurn       = food - this.size * game.rules["FoodPerCitizen"];
+    this.productionPerTurn = production;
+    this.commercePerTurn   = commerce;
+
+    this.$updateCommerce();
+
+    var culture = game.rules["CultureBase"];
+    const buildings = this.buildings;
+    for (var i = 0; i < buildings.length; i++)
+      culture += game.defs.buildings[buildings[i].id].culture;
+    this.culturePerTurn    = culture;
+
+    const happiness = this.getHappiness();
+    const wasDisorder = this.disorder;
+
+    this.happy             = happiness.happy;
+    this.content           = happiness.content;
+    this.unhappy           = happiness.unhappy;
+    this.disorder          = happiness.disorder;
+
+    if (this.disorder) {
+      this.productionPerTurn = 0;
+      this.goldPerTurn       = 0;
+      this.sciencePerTurn    = 0;
     }
-    return y;
-  }
 
-  _clampX(x) {
-    const w = this.w;
-    return x < 0 ? 0 : x >= w ? w - 1 : x;
+    if (this.disorder !== wasDisorder)
+      game.emit(this.disorder ? "cityDisorder" : "cityOrderRestored", this);
   }
 
-  _clampY(y) {
-    const h = this.h;
-    return y < 0 ? 0 : y >= h ? h - 1 : y;
-  }
+  /**
+   * Get the happiness of citizens and how it was calculated.
+   *
+   * Citizens working tiles start content up to `ContentBase`, which drops by
+   * one for each `EmpireSize` cities of the player, the rest is unhappy. Then
+   * luxury (including `EntertainerLuxury` of each specialist) makes citizens
+   * happy, Temple and Colosseum make unhappy citizens content, and military
+   * units outside of the player's territory make citizens unhappy. The city
+   * is in disorder if it has more unhappy than happy citizens.
+   *
+   * Returns `{ happy, content, unhappy, specialists, luxury, disorder, stages }`,
+   * where `stages` is an array of `{ name, happy, content, unhappy }` after
+   * each step ("Base", "Luxury", "Buildings", and "Military").
+   */
+  getHappiness() {
+    const rules = this.game.rules;
+    const stages = [];
 
-  recalc() {
-    this._recalcContinentsAndOceans();
-    this._recalcDeepness();
-    this.dirty = false;
-  }
+    const workers = this.size - this.specialists;
+    const luxury = this.luxuryPerTurn + this.specialists * rules["EntertainerLuxury"];
+    const limit = Math.max(rules["ContentBase"] - Math.floor((this.player.cities.length - 1) / rules["EmpireSize"]), 0);
 
-  _recalcContinentsAndOceans() {
-    const w = this.w;
-    const h = this.h;
-    const tiles = this.tiles;
+    var happy = 0;
+    var content = Math.min(workers, limit);
+    var unhappy = workers - content;
+    var n;
 
-    const oceans = this.oceans;
-    const continents = this.continents;
+    const stage = function(name) {
+      stages.push({ name: name, happy: happy, content: content, unhappy: unhappy });
+    };
+    stage("Base");
 
-    // First clear all continent and ocean IDs.
-    var i;
-    for (i = 0; i < tiles.length; i++) {
-      tiles[i].deepness = -1;
-      tiles[i].oceanId = -1;
-      tiles[i].continentId = -1;
+    // Luxury makes content citizens happy first, then unhappy content.
+    for (n = Math.floor(luxury / rules["LuxuryPerHappy"]); n > 0 && happy < workers; n--) {
+      if (content > 0) {
+        content--;
+        happy++;
+      }
+      else {
+        unhappy--;
+        content++;
+      }
+    }
+    stage("Luxury");
+
+    n = 0;
+    if (this.hasBuilding("Temple"))
+      n += rules["TempleContent"];
+    if (this.hasBuilding("Colosseum"))
+      n += rules["ColosseumContent"];
+
+    n = Math.min(n, unhappy);
+    unhappy -= n;
+    content += n;
+    stage("Buildings");
+
+    // Military unhappiness makes content citizens unhappy first, then happy.
+    for (n = this.$getMilitaryUnhappiness(); n > 0 && unhappy < workers; n--) {
+      if (content > 0)
+        content--;
+      else
+        happy--;
+      unhappy++;
     }
+    stage("Military");
+
+    return {
+      happy      : happy,
+      content    : content,
+      unhappy    : unhappy,
+      specialists: this.specialists,
+      luxury     : luxury,
+      disorder   : unhappy > happy,
+      stages     : stages
+    };
+  }
 
-    oceans.length = 0;
-    continents.length = 0;
+  // Count unhappiness caused by military units (having attack) outside of the
+  // player's territory. Units don't have a home city, so each is supported by
+  // the nearest city of the player.
+  $getMilitaryUnhappiness() {
+    const game = this.game;
+    const map = game.map;
+    const player = this.player;
+    const cities = player.cities;
+    const units = player.units;
 
-    // Simple "recursive" implementation that locates all continents / islands
-    // and oceans / lakes. It uses `stack` to save the previous location.
-    //
-    // Iterates over all tiles and tries to find a tile that doesn't have set
-    // oceanId or continentId (depending on the tile itself). After the tile
-    // is found then it uses a flood-fill approach to traverse the whole
-    // continent or ocean. Previously traversed tiles are then skipped.
-    const stack = [];
+    const distance = function(a, b) {
+      const dx = map.flipX ? GameUtils.distance(a.x, b.x, map.w) : Math.abs(a.x - b.x);
+      const dy = map.flipY ? GameUtils.distance(a.y, b.y, map.h) : Math.abs(a.y - b.y);
+      return Math.max(dx, dy);
+    };
 
-    var x, y;
-    var tile;
+    var count = 0;
+    for (var i = 0; i < units.length; i++) {
+      const unit = units[i];
+      if (game.defs.units[unit.id].attack === 0 || map.getTile(unit.x, unit.y).territory === player.slot)
+        continue;
 
-    for (y = 0; y < h; y++) {
-      for (x = 0; x < w; x++) {
-        tile = tiles[y * w + x];
-        if (tile.oceanId === -1 && tile.continentId === -1) {
-          if (tile.id === TerrainType.Ocean)
-            oceans.push(this._iterateOcean(x, y, oceans.length, stack));
-          else
-            continents.push(this._iterateContinent(x, y, continents.length, stack));
+      var nearest = null;
+      var best = Infinity;
+
+      for (var j = 0; j < cities.length; j++) {
+        const d = distance(unit, cities[j]);
+        if (d < best) {
+          best = d;
+          nearest = cities[j];
         }
       }
+
+      if (nearest === this)
+        count++;
     }
 
-    // Sort continents and oceans from biggest to smallest and fixup their IDs.
-    function bySize(a, b) { return b.size - a.size; }
+    return count * game.rules["MilitaryUnhappy"];
+  }
 
-    const oceansRef = oceans.slice();
-    const continentsRef = continents.slice();
+  // Split commerce into gold, luxury, and science by rates of the player,
+  // the rest after rounding goes to science. Marketplace and Bank multiply
+  // gold and luxury, Library and University multiply science.
+  $updateCommerce() {
+    const rules = this.game.rules;
+    const player = this.player;
+    const commerce = this.commercePerTurn;
+
+    const gold = Math.floor(commerce * player.taxRate / 100);
+    const luxury = Math.floor(commerce * player.luxuryRate / 100);
+    const science = commerce - gold - luxury;
+
+    var goldBonus = 0;
+    if (this.hasBuilding("Marketplace"))
+      goldBonus += rules["MarketplaceBonus"];
+    if (this.hasBuilding("Bank"))
+      goldBonus += rules["BankBonus"];
+
+    var scienceBonus = 0;
+    if (this.hasBuilding("Library"))
+      scienceBonus += rules["LibraryBonus"];
+    if (this.hasBuilding("University"))
+      scienceBonus += rules["UniversityBonus"];
+
+    var upkeep = 0;
+    const buildings = this.buildings;
+    for (var i = 0; i < buildings.length; i++)
+      upkeep += this.game.defs.buildings[buildings[i].id].upkeep;
+
+    this.goldPerTurn       = Math.floor(gold * (100 + goldBonus) / 100);
+    this.luxuryPerTurn     = Math.floor(luxury * (100 + goldBonus) / 100);
+    this.sciencePerTurn    = Math.floor(science * (100 + scienceBonus) / 100);
+    this.upkeepPerTurn     = upkeep;
+  }
 
-    oceans.sort(bySize);
-    continents.sort(bySize);
+  /**
+   * Accumulate food and grow or starve, called once per turn.
+   *
+   * When the city grows it keeps `GranaryFoodKept` percent of its new food
+   * box if it has a Granary. When the food count drops below zero the city
+   * loses a citizen (a city of size 1 cannot starve any further).
+   */
+  processFood() {
+    const game = this.game;
+    this.foodCount += this.foodPerTurn;
 
-    for (i = 0; i < oceans.length; i++) oceans[i].id = i;
-    for (i = 0; i < continents.length; i++) continents[i].id = i;
+    if (this.foodCount >= this.getFoodBox()) {
+      this.size++;
+      this.foodCount = this.hasBuilding("Granary")
+        ? Math.floor(this.getFoodBox() * game.rules["GranaryFoodKept"] / 100)
+        : 0;
 
-    for (i = 0; i < tiles.length; i++) {
-      const tile = tiles[i];
-      if (tile.oceanId     !== -1) tile.oceanId     = oceansRef[tile.oceanId].id;
-      if (tile.continentId !== -1) tile.continentId = continentsRef[tile.continentId].id;
+      this.arrange();
+      this.update();
+      game.emit("cityGrown", this);
+    }
+    else if (this.foodCount < 0) {
+      this.foodCount = 0;
+      if (this.size > 1) {
+        this.size--;
+        this.arrange();
+        this.update();
+        game.emit("cityStarved", this);
+      }
     }
   }
 
-  // Calculate how much deep the tile is inside the ocean / continent. AI can
-  // calculate the most important strategic points per ocean / continent based
-  // on deepness and surrounding tiles.
-  _recalcDeepness() {
-    const w = this.w;
-    const h = this.h;
-    const tiles = this.tiles;
+  /**
+   * Get the radius of city borders, which grows each time the accumulated
+   * culture reaches `BorderCulture * radius^2` up to `BorderRadiusMax`.
+   */
+  getBorderRadius() {
+    const rules = this.game.rules;
+    const max = rules["BorderRadiusMax"];
+
+    var radius = 1;
+    while (radius < max && this.cultureCount >= rules["BorderCulture"] * radius * radius)
+      radius++;
+    return radius;
+  }
 
-    for (var category = 0; category < 2; category++) {
-      const objects = (category === TerrainCategory.Ocean) ? this.oceans : this.continents;
+  /**
+   * Accumulate culture, called once per turn. Emits "cityBordersExpanded"
+   * if the border radius grows, borders are updated by `Game.updateBorders()`.
+   */
+  processCulture() {
+    const radius = this.getBorderRadius();
+    this.cultureCount += this.culturePerTurn;
 
-      for (var i = 0; i < objects.length; i++) {
-        const object = objects[i];
-        const coords = object.coords;
+    if (this.getBorderRadius() > radius)
+      this.game.emit("cityBordersExpanded", this, this.getBorderRadius());
+  }
 
-        var changed = true;
-        while (changed) {
-          changed = false;
-          for (var j = 0; j < coords.length; j += 2) {
-            const x = coords[j];
-            const y = coords[j + 1];
+  /**
+   * Check whether the city can build a unit or building described by `link`.
+   *
+   * Returns an empty string if it can, otherwise a message that describes why
+   * it cannot. All prerequisites (technologies of the player and buildings of
+   * the city) must be satisfied.
+   */
+  canBuild(link) {
+    const defs = this.game.defs;
+    const item = typeof link === "string" ? defs.resolveLink(link) : undefined;
 
-            const tile = tiles[y * w + x];
-            var deepness = -1;
+    if (!item || (item.kind !== "Unit" && item.kind !== "Building"))
+      return `Item '${link}' is not a unit or building`;
 
-            for (var s = 0; s < Neighbors.length; s++) {
-              const nx = this.normX(x + Neighbors[s].x);
-              const ny = this.normY(y + Neighbors[s].y);
+    if (item.kind === "Building" && this.hasBuilding(item.id))
+      return `Building '${item.name}' already built`;
 
-              if (nx !== x || ny !== y) {
-                const neighbor = tiles[ny * w + nx];
-                if (neighbor.category !== category) {
-                  deepness = 1;
-                  break;
-                }
-                else {
-                  if (neighbor.deepness !== -1)
-                    deepness = deepness === -1 ? neighbor.deepness + 1 : Math.min(deepness, neighbor.deepness + 1);
-                }
-              }
-            }
+    var i;
+    for (i = 0; i < item.prereqTechs.length; i++) {
+      const id = item.prereqTechs[i];
+      if (!this.player.hasTechnology(id))
+        return `'${item.name}' requires technology '${defs.technologies[id].name}'`;
+    }
 
-            if (tile.deepness !== deepness) {
-              tile.deepness = deepness;
-              changed = true;
-            }
-          }
-        }
-      }
+    for (i = 0; i < item.prereqBuildings.length; i++) {
+      const id = item.prereqBuildings[i];
+      if (!this.hasBuilding(id))
+        return `'${item.name}' requires building '${defs.buildings[id].name}'`;
     }
+
+    return "";
   }
 
-  _iterateOcean(x, y, id, stack) {
-    const w = this.w;
-    const h = this.h;
-    const tiles = this.tiles;
+  /**
+   * Change what the city produces.
+   *
+   * Changing between a unit and a building loses `ProductionPenalty`
+   * percent of the accumulated production.
+   */
+  setProduction(link) {
+    const game = this.game;
+    const prev = this.production ? game.defs.resolveLink(this.production) : null;
+    const next = link ? game.defs.resolveLink(link) : null;
 
-    const coords = [];
-    const out = {
-      id: id,
-      size: 0,
-      coords: coords
-    };
+    if (prev && next && prev.kind !== next.kind)
+      this.productionCount = Math.floor(this.productionCount * (100 - game.rules["ProductionPenalty"]) / 100);
 
-    var i = 0;
-    var iEnd = Neighbors.length;
-    var size = 1;
+    this.production = link || "";
+  }
 
-    // The first tile is done outside the loop.
-    var center = tiles[y * w + x];
+  /**
+   * Get the cost of buying the rest of the current production (in gold),
+   * returns zero if there is nothing to buy.
+   */
+  getBuyCost() {
+    if (!this.production)
+      return 0;
 
-    coords.push(x, y);
-    center.oceanId = id;
+    const item = this.game.defs.resolveLink(this.production);
+    const remaining = item.cost - this.productionCount;
 
-    for (;;) {
-      const x1 = this.normX(x + Neighbors[i].x, w);
-      const y1 = this.normY(y + Neighbors[i].y, h);
-      const tile = tiles[y1 * w + x1];
+    if (remaining <= 0)
+      return 0;
 
-      if (tile.oceanId === -1 && tile.id === TerrainType.Ocean) {
-        coords.push(x1, y1);
+    // Buying an item that hasn't been started yet costs double.
+    const cost = 2 * remaining + Math.floor(remaining * remaining / 20);
+    return this.productionCount === 0 ? cost * 2 : cost;
+  }
+
+  /**
+   * Buy the rest of the current production, it's completed in the next turn.
+   */
+  buy() {
+    const cost = this.getBuyCost();
+    if (cost > this.player.gold)
+      FAILED(`Player '${this.player.slot}' cannot afford to buy '${this.production}'`);
+
+    this.player.gold -= cost;
+    this.productionCount = this.game.defs.resolveLink(this.production).cost;
+    return cost;
+  }
+
+  /**
+   * Accumulate production and complete the current item, called once per
+   * turn. Excess production is carried over to the next item, but never more
+   * than the next item costs. Nothing is accumulated if the city doesn't
+   * produce anything.
+   */
+  processProduction() {
+    const game = this.game;
+
+    const link = this.production;
+    if (!link)
+      return;
+
+    this.productionCount += this.productionPerTurn;
+
+    // The item might not be available anymore (like a building that was
+    // built in the meantime).
+    if (this.canBuild(link) !== "") {
+      this.$nextProduction(false);
+      return;
+    }
+
+    const item = game.defs.resolveLink(link);
+    if (this.productionCount < item.cost)
+      return;
+
+    this.productionCount -= item.cost;
+
+    var object;
+    if (item.kind === "Building")
+      object = this.addBuilding(item.id);
+    else
+      object = game.createUnit({ player: this.player, id: item.id, x: this.x, y: this.y });
+
+    this.$nextProduction(true);
+
+    // If the queue ran dry the excess is kept for whatever comes next, but it
+    // cannot be more than the completed item costs.
+    const next = this.production ? game.defs.resolveLink(this.production) : item;
+    this.productionCount = Math.min(this.productionCount, next.cost);
+
+    game.emit("productionCompleted", this, link, object);
+  }
+
+  $nextProduction(completed) {
+    const queue = this.queue;
+
+    if (completed && this.repeat)
+      queue.push(this.production);
+
+    var next = "";
+    while (queue.length) {
+      const link = queue.shift();
+      if (this.canBuild(link) === "") {
+        next = link;
+        break;
+      }
+    }
+
+    this.production = next;
+  }
+
+  serialize() {
+    return {
+      uuid             : this.uuid,
+      x                : this.x,
+      y                : this.y,
+      player           : this.player.slot,
+      name             : this.name,
+      size             : this.size,
+      founded          : this.founded,
+      buildings        : this.buildings.map(function(building) { return building.id; }),
+      workingTiles     : GameUtils.cloneDeep(this.workingTiles),
+      specialists      : this.specialists,
+
+      happy            : this.happy,
+      content          : this.content,
+      unhappy          : this.unhappy,
+      disorder         : this.disorder,
+
+      foodPerTurn      : this.foodPerTurn,
+      productionPerTurn: this.productionPerTurn,
+      commercePerTurn  : this.commercePerTurn,
+      goldPerTurn      : this.goldPerTurn,
+      luxuryPerTurn    : this.luxuryPerTurn,
+      upkeepPerTurn    : this.upkeepPerTurn,
+      sciencePerTurn   : this.sciencePerTurn,
+      culturePerTurn   : this.culturePerTurn,
+
+      foodCount        : this.foodCount,
+      productionCount  : this.productionCount,
+      cultureCount     : this.cultureCount,
+
+      production       : this.production,
+      queue            : this.queue.slice(),
+      repeat           : this.repeat
+    };
+  }
+
+  static deserialize(game, slot, data) {
+    const map = game.map;
+    const buildings = isArray(data.buildings) ? data.buildings : NoArray;
+
+    if (data.x < 0 || data.y < 0 || data.x >= map.w || data.y >= map.h)
+      FAILED(`Save contains city #${slot} at [${data.x}, ${data.y}], which is outside of the map`);
+
+    for (var i = 0; i < buildings.length; i++)
+      SAVE_ID(game.defs.buildings, buildings[i]);
+
+    const city = new GameCity(game, slot, {
+      x        : data.x,
+      y        : data.y,
+      player   : SAVE_PLAYER(game, data.player),
+      name     : data.name,
+      size     : data.size,
+      founded  : data.founded,
+      buildings: buildings
+    });
+
+    city.uuid = data.uuid;
+    city.specialists = data.specialists || 0;
+
+    city.happy = data.happy || 0;
+    city.content = data.content || 0;
+    city.unhappy = data.unhappy || 0;
+    city.disorder = Boolean(data.disorder);
+
+    const working = isArray(data.workingTiles) ? data.workingTiles : NoArray;
+    for (var i = 0; i < working.length; i++) {
+      const t = working[i];
+      if (!t || !Number.isInteger(t.x) || !Number.isInteger(t.y) || t.x < 0 || t.y < 0 || t.x >= map.w || t.y >= map.h)
+        FAILED(`Save contains city #${slot} working an invalid tile`);
+      city.workingTiles.push({ x: t.x, y: t.y, locked: Boolean(t.locked) });
+    }
+
+    city.foodPerTurn       = data.foodPerTurn       || 0;
+    city.productionPerTurn = data.productionPerTurn || 0;
+    city.commercePerTurn   = data.commercePerTurn   || 0;
+    city.goldPerTurn       = data.goldPerTurn       || 0;
+    city.luxuryPerTurn     = data.luxuryPerTurn     || 0;
+    city.upkeepPerTurn     = data.upkeepPerTurn     || 0;
+    city.sciencePerTurn    = data.sciencePerTurn    || 0;
+    city.culturePerTurn    = data.culturePerTurn    || 0;
+
+    city.foodCount         = data.foodCount         || 0;
+    city.productionCount   = data.productionCount   || 0;
+    city.cultureCount      = data.cultureCount      || 0;
+
+    if (data.production) {
+      const item = game.defs.resolveLink(data.production);
+      if (!item || (item.kind !== "Unit" && item.kind !== "Building"))
+        FAILED(`Save contains city #${slot} producing '${data.production}', which is not defined`);
+      city.production = data.production;
+    }
+
+    const queue = isArray(data.queue) ? data.queue : NoArray;
+    for (var i = 0; i < queue.length; i++) {
+      const item = game.defs.resolveLink(queue[i]);
+      if (!item || (item.kind !== "Unit" && item.kind !== "Building"))
+        FAILED(`Save contains city #${slot} with '${queue[i]}' in its queue, which is not defined`);
+      city.queue.push(queue[i]);
+    }
+
+    city.repeat = Boolean(data.repeat);
+    return city;
+  }
+}
+webciv.GameCity = GameCity;
+
+// ============================================================================
+// [GamePlayer]
+// ============================================================================
+
+/**
+ * Game player.
+ */
+class GamePlayer extends Observable {
+  constructor(game, slot, info) {
+    super();
+
+    this.game = game;                      // Game that owns the player.
+    this.slot = slot;                      // Player slot.
+    this.uuid = 0;                         // Unique ID, will be set by the `Game`.
+
+    this.name = info.name || "";           // Player name.
+    this.civ = info.civ;                   // Player civilization.
+    this.colorSlot = info.colorSlot || 0;  // Color slot the player is using.
+
+    this.units = [];                       // Player units.
+    this.cities = [];                      // Player cities.
+    this.eliminated = false;               // Whether the player was eliminated.
+
+    this.visible = null;                   // Tiles in sight, each bit represents one tile.
+    this.uncovered = null;                 // Uncovered area, each bit represents one tile.
+    this.snapshots = new Map();            // Uncovered tiles not in sight as last seen (by tile index).
+
+    this.gold = 0;                         // Gold in treasury.
+    this.goldPerTurn = 0;                  // Income of all cities minus upkeep (per turn).
+    this.upkeepPerTurn = 0;                // Upkeep of buildings and units (per turn).
+
+    this.taxRate = 40;                     // Commerce converted to gold (%).
+    this.scienceRate = 60;                 // Commerce converted to science (%).
+    this.luxuryRate = 0;                   // Commerce converted to luxury (%).
+
+    this.technologies = [];                // Discovered technologies (ids, in order).
+    this.technologiesBits = [];            // Bit-array of discovered technologies.
+
+    this.research = -1;                    // Technology being researched or -1.
+    this.researchGoal = -1;                // Technology to research in the long term or -1.
+    this.sciencePerTurn = 0;               // Science of all cities (per turn).
+    this.scienceCount = 0;                 // Science (accumulated).
+
+    this.ai = info.ai || null;             // AI attached to the player.
+  }
+
+  setAI(ai) {
+    if (this.ai)
+      this.ai.onDetach(this);
+
+    this.ai = ai;
+    if (this.ai)
+      this.ai.onAttach(this);
+  }
+
+  /**
+   * Check whether the player is still in the game (has units or cities).
+   */
+  isAlive() {
+    return !this.eliminated && (this.units.length !== 0 || this.cities.length !== 0);
+  }
+
+  /**
+   * Check whether the player has lost - it has no cities and no units that
+   * could found one.
+   */
+  isDefeated() {
+    if (this.cities.length)
+      return false;
+
+    const units = this.game.defs.units;
+    for (var i = 0; i < this.units.length; i++)
+      if (units[this.units[i].id].hasFlag("Settle"))
+        return false;
+
+    return true;
+  }
+
+  /**
+   * Calculate the score of the player from citizens, technologies, wonders
+   * (buildings having "Wonder" flag), and culture of all its cities.
+   */
+  getScore() {
+    const buildings = this.game.defs.buildings;
+    const rules = this.game.rules;
+    const cities = this.cities;
+
+    var citizens = 0;
+    var wonders = 0;
+    var culture = 0;
+
+    for (var i = 0; i < cities.length; i++) {
+      const city = cities[i];
+
+      citizens += city.size;
+      culture += city.cultureCount;
+
+      for (var j = 0; j < city.buildings.length; j++)
+        if (buildings[city.buildings[j].id].hasFlag("Wonder"))
+          wonders++;
+    }
+
+    return citizens * rules["ScoreCitizen"] +
+           this.technologies.length * rules["ScoreTechnology"] +
+           wonders * rules["ScoreWonder"] +
+           Math.floor(culture / rules["CulturePerScore"]);
+  }
+
+  hasTechnology(nameOrId) {
+    const id = this.game.defs.technologies.byNameOrId(nameOrId);
+    const tb = this.technologiesBits;
+
+    const tbIdx = id >> 4;
+    const tbBit = 1 << (id & 0x0F);
+    return tbIdx < tb.length && (tb[tbIdx] & tbBit) !== 0;
+  }
+
+  addTechnology(nameOrId) {
+    const id = this.game.defs.technologies.byNameOrId(nameOrId);
+    const tb = this.technologiesBits;
+
+    const tbIdx = id >> 4;
+    const tbBit = 1 << (id & 0x0F);
+
+    if (tbIdx < tb.length && (tb[tbIdx] & tbBit) !== 0)
+      return false;
+
+    while (tbIdx >= tb.length)
+      tb.push(0);
+    tb[tbIdx] |= tbBit;
+
+    this.technologies.push(id);
+    return true;
+  }
+
+  /**
+   * Get the science needed to discover the next technology, which grows with
+   * the count of technologies already discovered.
+   */
+  getResearchCost() {
+    const rules = this.game.rules;
+    const known = this.technologies.length;
+    return rules["TechCostBase"] * (known + 1) + rules["TechCostGrowth"] * known * known;
+  }
+
+  /**
+   * Check whether the player can research a technology.
+   *
+   * Returns an empty string if it can, otherwise a message that describes why
+   * it cannot - the technology must not be known and all its prerequisites
+   * must be.
+   */
+  canResearch(nameOrId) {
+    const defs = this.game.defs;
+    const tech = defs.technologies[defs.technologies.byNameOrId(nameOrId)];
+
+    if (this.hasTechnology(tech.id))
+      return `Technology '${tech.name}' is already known`;
+
+    const prereq = tech.prereqTechs;
+    for (var i = 0; i < prereq.length; i++) {
+      if (!this.hasTechnology(prereq[i]))
+        return `Technology '${tech.name}' requires '${defs.technologies[prereq[i]].name}'`;
+    }
+
+    return "";
+  }
+
+  /**
+   * Get ids of technologies that can be researched now.
+   */
+  getAvailableTechnologies() {
+    const technologies = this.game.defs.technologies;
+    const result = [];
+
+    for (var id = 0; id < technologies.length; id++)
+      if (this.canResearch(id) === "")
+        result.push(id);
+
+    return result;
+  }
+
+  /**
+   * Get ids of technologies that have to be researched (in order) to discover
+   * `nameOrId`. Returns an empty array if it's already known. The tech tree is
+   * validated by `GameDefs.finalize()` so every technology can be reached.
+   */
+  getResearchPath(nameOrId) {
+    const player = this;
+    const defs = this.game.defs;
+    const goal = defs.technologies.byNameOrId(nameOrId);
+
+    const path = [];
+    const visited = new Set();
+
+    const visit = function(id) {
+      if (player.hasTechnology(id) || visited.has(id))
+        return;
+
+      visited.add(id);
+      const prereq = defs.technologies[id].prereqTechs;
+
+      for (var i = 0; i < prereq.length; i++)
+        visit(prereq[i]);
+
+      path.push(id);
+    };
+
+    visit(goal);
+    return path;
+  }
+
+  /**
+   * Research a technology, which must pass `canResearch()`. The science
+   * accumulated so far is kept.
+   */
+  setResearch(nameOrId) {
+    const defs = this.game.defs;
+    const id = defs.technologies.byNameOrId(nameOrId);
+
+    const error = this.canResearch(id);
+    if (error)
+      FAILED(error);
+
+    this.research = id;
+  }
+
+  /**
+   * Set a long term research goal (or -1 to clear it), the player researches
+   * technologies on the path to the goal automatically. If nothing is being
+   * researched the first technology on the path is started immediately.
+   */
+  setResearchGoal(nameOrId) {
+    if (nameOrId === -1) {
+      this.researchGoal = -1;
+      return;
+    }
+
+    const id = this.game.defs.technologies.byNameOrId(nameOrId);
+    const path = this.getResearchPath(id);
+
+    this.researchGoal = path.length ? id : -1;
+    if (this.research === -1 && path.length)
+      this.research = path[0];
+  }
+
+  /**
+   * Accumulate science of all cities and discover the technology being
+   * researched, called once per turn. Science is lost if nothing is being
+   * researched and at most the cost of the next technology is carried over.
+   */
+  processResearch() {
+    const game = this.game;
+    const cities = this.cities;
+
+    var science = 0;
+    for (var i = 0; i < cities.length; i++)
+      science += cities[i].sciencePerTurn;
+
+    this.sciencePerTurn = science;
+    if (this.research === -1)
+      return;
+
+    this.scienceCount += science;
+
+    const cost = this.getResearchCost();
+    if (this.scienceCount < cost)
+      return;
+
+    const id = this.research;
+    this.addTechnology(id);
+    this.scienceCount = Math.min(this.scienceCount - cost, this.getResearchCost());
+    this.$continueResearch();
+
+    game.emit("techDiscovered", this, id, game.getUnlockedBy(id));
+  }
+
+  // Pick the next technology to research on the way to the goal, if any.
+  $continueResearch() {
+    this.research = -1;
+    if (this.researchGoal !== -1) {
+      const path = this.getResearchPath(this.researchGoal);
+      if (path.length)
+        this.research = path[0];
+      else
+        this.researchGoal = -1;
+    }
+  }
+
+  /**
+   * Check whether the player can use the given tax, science, and luxury rates.
+   *
+   * Returns an empty string if it can, otherwise a message that describes why
+   * it cannot. Rates are percents in steps of 10, each at most `MaxRate`, and
+   * they must add up to 100.
+   */
+  canSetRates(tax, science, luxury) {
+    const maxRate = this.game.rules["MaxRate"];
+    const rates = [tax, science, luxury];
+
+    for (var i = 0; i < rates.length; i++) {
+      const rate = rates[i];
+      if (!Number.isInteger(rate) || rate < 0 || rate % 10 !== 0)
+        return `Rate '${rate}' must be a multiple of 10`;
+
+      if (rate > maxRate)
+        return `Rate '${rate}' exceeds the maximum rate ${maxRate}`;
+    }
+
+    if (tax + science + luxury !== 100)
+      return `Rates must add up to 100, not ${tax + science + luxury}`;
+
+    return "";
+  }
+
+  /**
+   * Set tax, science, and luxury rates, which must pass `canSetRates()`.
+   * Commerce of all cities is split again.
+   */
+  setRates(tax, science, luxury) {
+    const error = this.canSetRates(tax, science, luxury);
+    if (error)
+      FAILED(error);
+
+    this.taxRate = tax;
+    this.scienceRate = science;
+    this.luxuryRate = luxury;
+
+    const cities = this.cities;
+    for (var i = 0; i < cities.length; i++)
+      cities[i].update();
+  }
+
+  /**
+   * Get upkeep of all units (in gold). Each city supports `FreeUnitsPerCity`
+   * units for free.
+   */
+  getUnitUpkeep() {
+    const defs = this.game.defs;
+    const units = this.units;
+
+    var upkeep = 0;
+    for (var i = 0; i < units.length; i++)
+      upkeep += defs.units[units[i].id].upkeep;
+
+    return Math.max(upkeep - this.cities.length * this.game.rules["FreeUnitsPerCity"], 0);
+  }
+
+  /**
+   * Collect taxes of all cities and pay upkeep of buildings and units, called
+   * once per turn. If the treasury goes negative buildings are sold, see
+   * `$sellBuildings()`, and units that cannot be supported are disbanded, see
+   * `$disbandUnits()`.
+   */
+  processTreasury() {
+    const game = this.game;
+    const cities = this.cities;
+
+    var income = 0;
+    var upkeep = this.getUnitUpkeep();
+
+    for (var i = 0; i < cities.length; i++) {
+      income += cities[i].goldPerTurn;
+      upkeep += cities[i].upkeepPerTurn;
+    }
+
+    this.goldPerTurn = income - upkeep;
+    this.upkeepPerTurn = upkeep;
+    this.gold += this.goldPerTurn;
+
+    game.emit("treasuryChanged", this, this.gold, this.goldPerTurn);
+
+    if (this.gold < 0)
+      this.$sellBuildings();
+  }
+
+  // Sell buildings until the treasury is not negative. Buildings having the
+  // highest upkeep are sold first, a building sells for its cost. If there
+  // is nothing to sell the player goes bankrupt, units the income cannot
+  // support are disbanded and the debt is written off.
+  $sellBuildings() {
+    const game = this.game;
+    const defs = game.defs;
+    const cities = this.cities;
+
+    while (this.gold < 0) {
+      var bestCity = null;
+      var bestInfo = null;
+
+      for (var i = 0; i < cities.length; i++) {
+        const city = cities[i];
+        const buildings = city.buildings;
+
+        for (var j = 0; j < buildings.length; j++) {
+          const info = defs.buildings[buildings[j].id];
+          if (info.upkeep > 0 && !info.hasFlag("Capital") && (bestInfo === null || info.upkeep > bestInfo.upkeep)) {
+            bestCity = city;
+            bestInfo = info;
+          }
+        }
+      }
+
+      if (bestCity === null) {
+        game.emit("playerBankrupt", this, this.gold);
+        this.gold = 0;
+        this.$disbandUnits();
+        break;
+      }
+
+      bestCity.removeBuilding(bestInfo.id);
+      bestCity.update();
+
+      this.gold += bestInfo.cost;
+      game.emit("buildingSold", bestCity, bestInfo.id, bestInfo.cost);
+    }
+  }
+
+  // Disband units until the income of cities covers the upkeep. Units having
+  // the highest upkeep are disbanded first, the most recent of them first.
+  $disbandUnits() {
+    const game = this.game;
+    const defs = game.defs;
+    const units = this.units;
+    const cities = this.cities;
+
+    var income = 0;
+    var cityUpkeep = 0;
+    var upkeep = this.getUnitUpkeep();
+    var i;
+
+    for (i = 0; i < cities.length; i++) {
+      income += cities[i].goldPerTurn;
+      cityUpkeep += cities[i].upkeepPerTurn;
+    }
+
+    while (upkeep > 0 && income < cityUpkeep + upkeep) {
+      var bestUnit = null;
+      var bestUpkeep = 0;
+
+      for (i = units.length - 1; i >= 0; i--) {
+        const unitUpkeep = defs.units[units[i].id].upkeep;
+        if (unitUpkeep > bestUpkeep) {
+          bestUnit = units[i];
+          bestUpkeep = unitUpkeep;
+        }
+      }
+
+      game.emit("unitUnsupported", bestUnit);
+      game.destroyUnit(bestUnit);
+      upkeep = this.getUnitUpkeep();
+    }
+
+    this.goldPerTurn = income - cityUpkeep - upkeep;
+    this.upkeepPerTurn = cityUpkeep + upkeep;
+  }
+
+  /**
+   * Check whether `player` is an enemy of this player (they are at war), see
+   * `Diplomacy`.
+   */
+  isEnemy(player) {
+    return player !== null && player !== this && this.game.diplomacy.getState(this, player) === DiplomacyState.War;
+  }
+
+  /**
+   * Check whether the tile at [x, y] was uncovered by this player.
+   */
+  isUncovered(x, y) {
+    const pos = y * this.game.map.w + x;
+    return (this.uncovered[pos >>> 5] & (1 << (pos & 0x1F))) !== 0;
+  }
+
+  /**
+   * Check whether the tile at [x, y] is in sight of units or cities of this
+   * player, see `updateVisibility()`.
+   */
+  isVisible(x, y) {
+    const pos = y * this.game.map.w + x;
+    return (this.visible[pos >>> 5] & (1 << (pos & 0x1F))) !== 0;
+  }
+
+  /**
+   * Get the tile at [x, y] as the player last saw it, which is an object
+   * having `modifiers`, `resource`, `territory`, and `city` (an object having
+   * `name`, `size`, `player`, and `walls`, or null).
+   *
+   * Returns null if the tile is in sight (the player sees the tile as it is)
+   * or if the tile was never uncovered.
+   */
+  getSnapshot(x, y) {
+    return this.snapshots.get(y * this.game.map.w + x) || null;
+  }
+
+  /**
+   * Recalculate tiles in sight of units (see `Game.getSight()`) and cities of
+   * the player. Tiles that come into sight are uncovered and tiles that go
+   * out of sight are remembered as they were last seen. Emits "visibilityChanged"
+   * (x, y, player) for each tile whose visibility changed.
+   */
+  updateVisibility() {
+    const game = this.game;
+    const map = game.map;
+    const prev = this.visible;
+
+    if (prev === null)
+      return;
+
+    const visible = new Int32Array(prev.length);
+    const citySight = game.rules["CitySight"];
+
+    var i;
+    for (i = 0; i < this.units.length; i++) {
+      const unit = this.units[i];
+      this.$markSight(visible, unit.x, unit.y, game.getSight(unit));
+    }
+
+    for (i = 0; i < this.cities.length; i++) {
+      const city = this.cities[i];
+      this.$markSight(visible, city.x, city.y, citySight);
+    }
+
+    this.visible = visible;
+
+    for (i = 0; i < visible.length; i++) {
+      var changed = prev[i] ^ visible[i];
+      while (changed !== 0) {
+        const bit = changed & -changed;
+        const pos = (i << 5) + 31 - Math.clz32(bit);
+        const x = pos % map.w;
+        const y = (pos - x) / map.w;
+
+        changed ^= bit;
+        if (visible[i] & bit) {
+          this.snapshots.delete(pos);
+          this.uncoverTile(x, y);
+        }
+        else {
+          this.$remember(pos);
+        }
+
+        game.emit("visibilityChanged", x, y, this);
+      }
+    }
+  }
+
+  $markSight(bits, cx, cy, radius) {
+    const map = this.game.map;
+    const w = map.w;
+
+    for (var y = cy - radius; y <= cy + radius; y++) {
+      const ny = map.normY(y);
+      for (var x = cx - radius; x <= cx + radius; x++) {
+        const pos = ny * w + map.normX(x);
+        bits[pos >>> 5] |= 1 << (pos & 0x1F);
+      }
+    }
+  }
+
+  // Remember the tile at `pos` as it's now, see `getSnapshot()`.
+  $remember(pos) {
+    const tile = this.game.map.tiles[pos];
+    const city = tile.city;
+
+    this.snapshots.set(pos, {
+      modifiers: tile.modifiers,
+      resource : tile.resource,
+      territory: tile.territory,
+      city     : city ? { name: city.name, size: city.size, player: city.player.slot, walls: city.hasBuilding("City Walls") } : null
+    });
+  }
+
+  _assignUnit(unit) {
+    this.units.push(unit);
+  }
+
+  _removeUnit(unit) {
+    this.units.splice(this.units.indexOf(unit), 1);
+  }
+
+  _assignCity(city) {
+    const cx = city.x;
+    const cy = city.y;
+
+    const map = this.game.map;
+
+    var B = Brush.CityToCity, i;
+    for (var i = 0; i < B.length; i++) {
+      const tile = map.getTileSafe(cx + B[i].x, cy + B[i].y);
+      tile.preventCity++;
+    }
+
+    this.cities.push(city);
+  }
+
+  _removeCity(city) {
+    const cx = city.x;
+    const cy = city.y;
+
+    const map = this.game.map;
+
+    var B = Brush.CityToCity, i;
+    for (var i = 0; i < B.length; i++) {
+      const tile = map.getTileSafe(cx + B[i].x, cy + B[i].y);
+      tile.preventCity--;
+    }
+
+    this.cities.splice(this.cities.indexOf(city), 1);
+  }
+
+  uncoverTile(mx, my) {
+    const game = this.game;
+    const map = game.map;
+
+    const w = map.w;
+    const h = map.h;
+
+    if (mx < 0 || my < 0 || mx >= w || my >= h) {
+      mx %= w; if (mx < 0) mx += w;
+      my %= h; if (my < 0) my += h;
+    }
+
+    const pos = my * w + mx;
+    const idx = pos >>> 5;
+    const bit = 1 << (pos & 0x1F);
+
+    const uncovered = this.uncovered;
+    if (!(uncovered[idx] & bit)) {
+      uncovered[idx] |= bit;
+      if (!(this.visible[idx] & bit))
+        this.$remember(pos);
+
+      game.emit("uncovered", mx, my, this);
+    }
+  }
+
+  uncoverRect(rx, ry, rw, rh) {
+    const game = this.game;
+    const map = game.map;
+
+    const w = map.w;
+    const h = map.h;
+
+    var x0 = rx;
+    var y0 = ry;
+    var x1 = x0 + rw;
+    var y1 = y0 + rh;
+
+    if (x0 < 0 || y0 < 0 || x1 >= w || y1 >= h) {
+      x0 = map.normX(x0);
+      y0 = map.normY(y0);
+      x1 = map.normX(x1);
+      y1 = map.normY(y1);
+    }
+
+    const uncovered = this.uncovered;
+
+    var y = y0;
+    while (y !== y1) {
+      var x = x0;
+      while (x !== x1) {
+        const pos = y * w + x;
+        const idx = pos >>> 5;
+        const bit = 1 << (pos & 0x1F);
+
+        if (!(uncovered[idx] & bit)) {
+          uncovered[idx] |= bit;
+          if (!(this.visible[idx] & bit))
+            this.$remember(pos);
+
+          game.emit("uncovered", x, y, this);
+        }
+
+        if (++x === w) x = 0;
+      }
+      if (++y === h) y = 0;
+    }
+  }
+
+  serialize() {
+    const ai = this.ai;
+    return {
+      uuid          : this.uuid,
+      name          : this.name,
+      civ           : this.civ,
+      colorSlot     : this.colorSlot,
+      ai            : ai ? ai.constructor.name : null,
+      units         : this.units.map(function(unit) { return unit.slot; }),
+      cities        : this.cities.map(function(city) { return city.slot; }),
+      eliminated    : this.eliminated,
+      gold          : this.gold,
+      goldPerTurn   : this.goldPerTurn,
+      upkeepPerTurn : this.upkeepPerTurn,
+      taxRate       : this.taxRate,
+      scienceRate   : this.scienceRate,
+      luxuryRate    : this.luxuryRate,
+      technologies  : this.technologies.slice(),
+      research      : this.research,
+      researchGoal  : this.researchGoal,
+      sciencePerTurn: this.sciencePerTurn,
+      scienceCount  : this.scienceCount,
+      uncovered     : this.uncovered ? Array.from(this.uncovered) : null,
+      snapshots     : Array.from(this.snapshots, function(entry) {
+        return Object.assign({ pos: entry[0] }, GameUtils.cloneDeep(entry[1]));
+      })
+    };
+  }
+
+  static deserialize(game, slot, data) {
+    const player = new GamePlayer(game, slot, {
+      name     : data.name,
+      civ      : SAVE_ID(game.defs.civilizations, data.civ),
+      colorSlot: data.colorSlot
+    });
+
+    player.uuid = data.uuid;
+    player.$subscribe();
+
+    player.$deserializeBits(player.uncovered, data.uncovered, "uncovered");
+
+    // Visibility is calculated by the game once units and cities are loaded.
+    const snapshots = isArray(data.snapshots) ? data.snapshots : NoArray;
+    const numTiles = game.map.w * game.map.h;
+
+    for (var i = 0; i < snapshots.length; i++) {
+      const src = snapshots[i];
+      if (!Number.isInteger(src.pos) || src.pos < 0 || src.pos >= numTiles || typeof src.modifiers !== "number")
+        FAILED(`Save contains invalid snapshot of player #${slot}`);
+
+      player.snapshots.set(src.pos, {
+        modifiers: src.modifiers,
+        resource : SAVE_ID(game.defs.resources, src.resource, true),
+        territory: Number.isInteger(src.territory) ? src.territory : -1,
+        city     : src.city ? GameUtils.cloneDeep(src.city) : null
+      });
+    }
+
+    player.eliminated = Boolean(data.eliminated);
+    player.gold = data.gold || 0;
+    player.goldPerTurn = data.goldPerTurn || 0;
+    player.upkeepPerTurn = data.upkeepPerTurn || 0;
+
+    if (typeof data.taxRate === "number") {
+      const error = player.canSetRates(data.taxRate, data.scienceRate, data.luxuryRate);
+      if (error)
+        FAILED(`Save contains player #${slot} with invalid rates: ${error}`);
+
+      player.taxRate = data.taxRate;
+      player.scienceRate = data.scienceRate;
+      player.luxuryRate = data.luxuryRate;
+    }
+
+    const technologies = isArray(data.technologies) ? data.technologies : NoArray;
+    for (var i = 0; i < technologies.length; i++)
+      player.addTechnology(SAVE_ID(game.defs.technologies, technologies[i]));
+
+    player.research = SAVE_ID(game.defs.technologies, typeof data.research === "number" ? data.research : -1, true);
+    player.researchGoal = SAVE_ID(game.defs.technologies, typeof data.researchGoal === "number" ? data.researchGoal : -1, true);
+    player.sciencePerTurn = data.sciencePerTurn || 0;
+    player.scienceCount = data.scienceCount || 0;
+
+    if (data.ai) {
+      const AI = webciv.ai ? webciv.ai[data.ai] : undefined;
+      if (typeof AI !== "function")
+        FAILED(`Save uses AI '${data.ai}' of player #${slot}, which is not available`);
+      player.setAI(new AI());
+    }
+
+    return player;
+  }
+
+  $deserializeBits(dst, src, what) {
+    if (dst === null)
+      return;
+
+    if (!isArray(src) || src.length !== dst.length)
+      FAILED(`Save contains invalid '${what}' data of player #${this.slot}`);
+
+    for (var i = 0; i < src.length; i++)
+      dst[i] = src[i];
+  }
+
+  $subscribe() {
+    this.game.on("mapResize", this.$onMapResize, this);
+    this.$onMapResize();
+  }
+
+  $unsubscribe() {
+    this.game.off("mapResize", this.$onMapResize, this);
+  }
+
+  $onMapResize() {
+    const map = this.game.map;
+    const w = map.w;
+    const h = map.h;
+
+    if (w && h) {
+      const size = Math.floor((w * h + 31) / 32);
+      this.visible   = new Int32Array(size);
+      this.uncovered = new Int32Array(size);
+    }
+    else {
+      this.visible   = null;
+      this.uncovered = null;
+    }
+
+    this.snapshots.clear();
+  }
+}
+webciv.GamePlayer = GamePlayer;
+
+// ============================================================================
+// [GameMap]
+// ============================================================================
+
+/**
+ * Game map.
+ */
+class GameMap {
+  constructor(game) {
+    this.game = game;                      // Game or editor that owns the map.
+
+    this.w = 0;                            // Map width (in tiles).
+    this.h = 0;                            // Map height (in tiles).
+    this.size = 0;                         // Map size - `width * height`.
+    this.tiles = [];                       // One dimension array containing all tiles.
+
+    this.flipX = true;                     // X coordinate flips.
+    this.flipY = true;                     // Y coordinate flips.
+
+    this.normX = null;                     // Normalize (flip or bound) X coordinate.
+    this.normY = null;                     // Normalize (flip or bound) Y coordinate.
+
+    this.supressNotifications = 0;         // Supress notifications about map changes.
+    this.dirty = false;                    // The map is dirty and needs recalculation.
+    this.oceans = [];                      // Array of separate oceans / lakes.
+    this.continents = [];                  // Array of separate continents / islands.
+
+    this._normSetup();
+  }
+
+  resize(w, h, initialId) {
+    const tiles = this.tiles;
+
+    const defs = this.game.defs;
+    const category = defs.terrains[initialId].category;
+
+    this.w = w;
+    this.h = h;
+    this.size = w * h;
+    this.dirty = true;
+
+    tiles.length = 0;
+    for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+        const tile = new GameTile(x, y);
+
+        tile.id = initialId;
+        tile.category = category;
+        tiles.push(tile);
+      }
+    }
+
+    if (this.game)
+      this.game.emit("mapResize");
+
+    return this;
+  }
+
+  serialize() {
+    const tiles = this.tiles;
+    const size = tiles.length;
+
+    const id        = new Array(size);
+    const modifiers = new Array(size);
+    const resource  = new Array(size);
+    const territory = new Array(size);
+    const riverFlow = new Array(size);
+
+    for (var i = 0; i < size; i++) {
+      const tile = tiles[i];
+      id[i]        = tile.id;
+      modifiers[i] = tile.modifiers;
+      resource[i]  = tile.resource;
+      territory[i] = tile.territory;
+      riverFlow[i] = (tile.modifiers & TerrainModifier.kRiver) ? tile.riverFlow : -1;
+    }
+
+    return {
+      w    : this.w,
+      h    : this.h,
+      flipX: this.flipX,
+      flipY: this.flipY,
+      tiles: {
+        id       : id,
+        modifiers: modifiers,
+        resource : resource,
+        territory: territory,
+        riverFlow: riverFlow
+      }
+    };
+  }
+
+  deserialize(data) {
+    const defs = this.game.defs;
+
+    const w = data.w;
+    const h = data.h;
+    const src = data.tiles;
+
+    if (typeof w !== "number" || typeof h !== "number" || w <= 0 || h <= 0 || !src)
+      FAILED(`Save contains an invalid map`);
+
+    const size = w * h;
+    const names = ["id", "modifiers", "resource", "territory"];
+
+    for (var i = 0; i < names.length; i++) {
+      const arr = src[names[i]];
+      if (!isArray(arr) || arr.length !== size)
+        FAILED(`Save contains invalid map '${names[i]}' data (expected ${size} tiles)`);
+    }
+
+    // River flow is optional, maps created before it was introduced don't have it.
+    const riverFlow = src.riverFlow != null ? src.riverFlow : null;
+    if (riverFlow !== null && (!isArray(riverFlow) || riverFlow.length !== size))
+      FAILED(`Save contains invalid map 'riverFlow' data (expected ${size} tiles)`);
+
+    this.flipX = data.flipX !== false;
+    this.flipY = data.flipY !== false;
+    this._normSetup();
+
+    this.supressNotifications++;
+    this.resize(w, h, TerrainType.Ocean);
+
+    const tiles = this.tiles;
+    for (i = 0; i < size; i++) {
+      const tile = tiles[i];
+      const id = SAVE_ID(defs.terrains, src.id[i]);
+
+      tile.id        = id;
+      tile.category  = defs.terrains[id].category;
+      tile.modifiers = src.modifiers[i];
+      tile.resource  = SAVE_ID(defs.resources, src.resource[i], true);
+      tile.territory = src.territory[i];
+      tile.riverFlow = -1;
+
+      if (riverFlow !== null && (tile.modifiers & TerrainModifier.kRiver)) {
+        const flow = riverFlow[i];
+        if (!Number.isInteger(flow) || flow < -1 || flow >= Brush.Sides.length)
+          FAILED(`Save contains invalid river flow '${flow}' at [${tile.x}, ${tile.y}]`);
+        tile.riverFlow = flow;
+      }
+    }
+
+    this.recalc();
+    this.supressNotifications--;
+
+    return this;
+  }
+
+  _normSetup() {
+    this.normX = this.flipX ? this._flipX : this._clampX;
+    this.normY = this.flipY ? this._flipY : this._clampY;
+  }
+
+  _flipX(x) {
+    const w = this.w;
+    if (x < 0 || x >= w) {
+      x = Math.floor(x % w);
+      if (x < 0) x += w;
+    }
+    return x;
+  }
+
+  _flipY(y) {
+    const h = this.h;
+    if (y < 0 || y >= h) {
+      y = Math.floor(y % h);
+      if (y < 0) y += h;
+    }
+    return y;
+  }
+
+  _clampX(x) {
+    const w = this.w;
+    return x < 0 ? 0 : x >= w ? w - 1 : x;
+  }
+
+  _clampY(y) {
+    const h = this.h;
+    return y < 0 ? 0 : y >= h ? h - 1 : y;
+  }
+
+  recalc() {
+    this._recalcContinentsAndOceans();
+    this._recalcDeepness();
+    this.dirty = false;
+  }
+
+  _recalcContinentsAndOceans() {
+    const w = this.w;
+    const h = this.h;
+    const tiles = this.tiles;
+
+    const oceans = this.oceans;
+    const continents = this.continents;
+
+    // First clear all continent and ocean IDs.
+    var i;
+    for (i = 0; i < tiles.length; i++) {
+      tiles[i].deepness = -1;
+      tiles[i].oceanId = -1;
+      tiles[i].continentId = -1;
+    }
+
+    oceans.length = 0;
+    continents.length = 0;
+
+    // Simple "recursive" implementation that locates all continents / islands
+    // and oceans / lakes. It uses `stack` to save the previous location.
+    //
+    // Iterates over all tiles and tries to find a tile that doesn't have set
+    // oceanId or continentId (depending on the tile itself). After the tile
+    // is found then it uses a flood-fill approach to traverse the whole
+    // continent or ocean. Previously traversed tiles are then skipped.
+    const stack = [];
+
+    var x, y;
+    var tile;
+
+    for (y = 0; y < h; y++) {
+      for (x = 0; x < w; x++) {
+        tile = tiles[y * w + x];
+        if (tile.oceanId === -1 && tile.continentId === -1) {
+          if (tile.id === TerrainType.Ocean)
+            oceans.push(this._iterateOcean(x, y, oceans.length, stack));
+          else
+            continents.push(this._iterateContinent(x, y, continents.length, stack));
+        }
+      }
+    }
+
+    // Sort continents and oceans from biggest to smallest and fixup their IDs.
+    function bySize(a, b) { return b.size - a.size; }
+
+    const oceansRef = oceans.slice();
+    const continentsRef = continents.slice();
+
+    oceans.sort(bySize);
+    continents.sort(bySize);
+
+    for (i = 0; i < oceans.length; i++) oceans[i].id = i;
+    for (i = 0; i < continents.length; i++) continents[i].id = i;
+
+    for (i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (tile.oceanId     !== -1) tile.oceanId     = oceansRef[tile.oceanId].id;
+      if (tile.continentId !== -1) tile.continentId = continentsRef[tile.continentId].id;
+    }
+  }
+
+  // Calculate how much deep the tile is inside the ocean / continent. AI can
+  // calculate the most important strategic points per ocean / continent based
+  // on deepness and surrounding tiles.
+  _recalcDeepness() {
+    const w = this.w;
+    const h = this.h;
+    const tiles = this.tiles;
+
+    for (var category = 0; category < 2; category++) {
+      const objects = (category === TerrainCategory.Ocean) ? this.oceans : this.continents;
+
+      for (var i = 0; i < objects.length; i++) {
+        const object = objects[i];
+        const coords = object.coords;
+
+        var changed = true;
+        while (changed) {
+          changed = false;
+          for (var j = 0; j < coords.length; j += 2) {
+            const x = coords[j];
+            const y = coords[j + 1];
+
+            const tile = tiles[y * w + x];
+            var deepness = -1;
+
+            for (var s = 0; s < Neighbors.length; s++) {
+              const nx = this.normX(x + Neighbors[s].x);
+              const ny = this.normY(y + Neighbors[s].y);
+
+              if (nx !== x || ny !== y) {
+                const neighbor = tiles[ny * w + nx];
+                if (neighbor.category !== category) {
+                  deepness = 1;
+                  break;
+                }
+                else {
+                  if (neighbor.deepness !== -1)
+                    deepness = deepness === -1 ? neighbor.deepness + 1 : Math.min(deepness, neighbor.deepness + 1);
+                }
+              }
+            }
+
+            if (tile.deepness !== deepness) {
+              tile.deepness = deepness;
+              changed = true;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  _iterateOcean(x, y, id, stack) {
+    const w = this.w;
+    const h = this.h;
+    const tiles = this.tiles;
+
+    const coords = [];
+    const out = {
+      id: id,
+      size: 0,
+      coords: coords
+    };
+
+    var i = 0;
+    var iEnd = Neighbors.length;
+    var size = 1;
+
+    // The first tile is done outside the loop.
+    var center = tiles[y * w + x];
+
+    coords.push(x, y);
+    center.oceanId = id;
+
+    for (;;) {
+      const x1 = this.normX(x + Neighbors[i].x, w);
+      const y1 = this.normY(y + Neighbors[i].y, h);
+      const tile = tiles[y1 * w + x1];
+
+      if (tile.oceanId === -1 && tile.id === TerrainType.Ocean) {
+        coords.push(x1, y1);
         tile.oceanId = id;
         size++;
 
-        if (++i !== iEnd)
-          stack.push(x, y, i);
+        if (++i !== iEnd)
+          stack.push(x, y, i);
+
+        x = x1;
+        y = y1;
+        i = 0;
+      }
+      else if (++i >= iEnd) {
+        if (stack.length === 0)
+          break;
+
+        i = stack.pop();
+        y = stack.pop();
+        x = stack.pop();
+      }
+    }
+
+    out.size = size;
+    return out;
+  }
+
+  _iterateContinent(x, y, id, stack) {
+    const w = this.w;
+    const h = this.h;
+    const tiles = this.tiles;
+
+    const coords = [];
+    const out = {
+      id: id,
+      size: 0,
+      coords: coords
+    };
+
+    var i = 0;
+    var iEnd = Neighbors.length;
+    var size = 1;
+
+    // The first tile is done outside the loop.
+    var center = tiles[y * w + x];
+
+    coords.push(x, y);
+    center.continentId = id;
+
+    for (;;) {
+      const x1 = this.normX(x + Neighbors[i].x, w);
+      const y1 = this.normY(y + Neighbors[i].y, h);
+      const tile = tiles[y1 * w + x1];
+
+      if (tile.continentId === -1 && tile.id !== TerrainType.Ocean) {
+        coords.push(x1, y1);
+        tile.continentId = id;
+        size++;
+
+        if (++i !== iEnd)
+          stack.push(x, y, i);
+
+        x = x1;
+        y = y1;
+        i = 0;
+      }
+      else if (++i >= iEnd) {
+        if (stack.length === 0)
+          break;
+
+        i = stack.pop();
+        y = stack.pop();
+        x = stack.pop();
+      }
+    }
+
+    out.size = size;
+    return out;
+  }
+
+  getTile(x, y) {
+    const w = this.w;
+    const h = this.h;
+
+    // DEBUG:@{
+    if (x < 0 || y < 0 || x >= this.w || y >= this.h)
+      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
+    // DEBUG:@}
+
+    return this.tiles[y * this.w + x];
+  }
+
+  getTileSafe(x, y) {
+    const w = this.w;
+    const h = this.h;
+
+    if (x < 0 || x >= this.w) x = this.normX(x);
+    if (y < 0 || y >= this.h) y = this.normY(y);
+
+    return this.tiles[y * this.w + x];
+  }
+
+  setTileId(x, y, id) {
+    // DEBUG:@{
+    if (x < 0 || y < 0 || x >= this.w || y >= this.h)
+      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
+    // DEBUG:@}
+
+    const tile = this.tiles[y * this.w + x];
+    if (tile.id === id) return;
+
+    const defs = this.game.defs;
+
+    // DEBUG:@{
+    if (id >= defs.terrains.length)
+      FAILED(`"Tile id '${id}' out of bounds`);
+    // DEBUG:@}
+
+    tile.id = id;
+    tile.category = defs.terrains[id].category;
+
+    if (this.supressNotifications === 0)
+      this.game.invalidateTile(x, y);
+  }
+
+  setTileModifiers(x, y, modifiers) {
+    const w = this.w;
+    const h = this.h;
+
+    // DEBUG:@{
+    if (x < 0 || y < 0 || x >= w || y >= h)
+      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
+    // DEBUG:@}
+
+    const tile = this.tiles[y * w + x];
+    if (tile.modifiers === modifiers) return;
+
+    tile.modifiers = modifiers;
+
+    if (this.supressNotifications === 0)
+      this.game.invalidateTile(x, y);
+  }
+
+  setTileIdAndModifiers(x, y, id, modifiers) {
+    const w = this.w;
+    const h = this.h;
+
+    // DEBUG:@{
+    if (x < 0 || y < 0 || x >= w || y >= h)
+      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
+    // DEBUG:@}
+
+    const tile = this.tiles[y * w + x];
+    if (tile.id === id && tile.modifiers === modifiers) return;
+
+    const defs = this.game.defs;
+
+    tile.id = id;
+    tile.category = defs.terrains[id].category;
+    tile.modifiers = modifiers;
+
+    if (this.supressNotifications === 0)
+      this.game.invalidateTile(x, y);
+  }
+
+  // Invalidation means that the map-tile itself changed. This means that either
+  //   - Terrain id changed
+  //   - Terrain modifiers changed (like roads, irrigation, river)
+  //   - Terrain territory information changed
+  // 
+  // Renderers may react to a tile-change differently. In most cases one tile
+  // change means to invalidate also all neighboring tiles as the renderer
+  // needs to recalculate them as well (becuase of rendering transitions and
+  // connections like roads and rivers).
+  invalidateTile(x, y) {
+    if (this.supressNotifications === 0)
+      this.game.invalidateTile(x, y);
+  }
+
+  invalidateRect(x, y, w, h) {
+    if (this.supressNotifications === 0)
+      this.game.invalidateRect(x, y, w, h);
+  }
+
+  invalidateAll() {
+    if (this.supressNotifications === 0)
+      this.game.invalidateAll();
+  }
+
+  assignUnit(unit) {
+    const tile = this.tiles[unit.y * this.w + unit.x];
+
+    var cur = tile.units;
+    if (cur === null) {
+      tile.units = unit;
+    }
+    else {
+      while (cur.next !== null)
+        cur = cur.next;
+      cur.next = unit;
+    }
+  }
+
+  removeUnit(unit) {
+    const tile = this.tiles[unit.y * this.w + unit.x];
+
+    var cur = tile.units;
+    var prev = null;
+
+    for (;;) {
+      if (cur === null)
+        FAILED(`Unit '${unit.slot}' not found at [${unit.x}, ${unit.y}]`);
+
+      if (cur === unit) {
+        if (!prev)
+          tile.units = cur.next;
+        else
+          prev.next = cur.next;
+        cur.next = null;
+        break;
+      }
+
+      prev = cur;
+      cur = cur.next;
+    }
+  }
+
+  moveUnit(unit, dstX, dstY) {
+    const x = this.normX(dstX);
+    const y = this.normY(dstY);
+
+    if (unit.x === x && unit.y === y)
+      return;
+
+    this.removeUnit(unit);
+
+    unit.x = x;
+    unit.y = y;
+
+    this.assignUnit(unit);
+  }
+
+  assignCity(city) {
+    const tile = this.tiles[city.y * this.w + city.x];
+
+    tile.city = city;
+    tile.workedBy = city;
+  }
+
+  removeCity(city) {
+    const tile = this.tiles[city.y * this.w + city.x];
+
+    tile.city = null;
+    tile.workedBy = null;
+  }
+}
+webciv.GameMap = GameMap;
+
+// ============================================================================
+// [GameCommand]
+// ============================================================================
+
+/**
+ * Base class of all commands, see `Game.execute()`.
+ *
+ * A command is described by a plain object (`data`) that contains its `type`
+ * and arguments. Objects are referenced by their UUID and players by their
+ * slot, so the data can be sent over network or stored in a replay.
+ *
+ * Each command class provides `validate()`, which returns an error message
+ * if the command cannot be executed (or an empty string if it can), and
+ * `apply()`, which changes the game state and returns an object that is
+ * merged into the command's result.
+ */
+class GameCommand {
+  constructor(game, data) {
+    this.game = game;                      // Game where the command is executed.
+    this.data = data;                      // Command data.
+    this.player = null;                    // Player that issued the command (if any).
+  }
+
+  validate() {
+    return "";
+  }
+
+  apply() {
+    FAILED("Abstract method called");
+  }
+
+  // Validates `data.player` and checks whether it's the player's turn.
+  validatePlayer() {
+    const game = this.game;
+    const slot = this.data.player;
+    const player = typeof slot === "number" ? game.players[slot] : undefined;
+
+    if (!player)
+      return `Player '${slot}' doesn't exist`;
+
+    if (!game.turns.canAct(player))
+      return `It's not the turn of player '${slot}'`;
+
+    this.player = player;
+    return "";
+  }
+
+  // Validates that `uuid` is a unit owned by the player.
+  validateUnit(uuid) {
+    const unit = this.game.getUnit(uuid);
+    if (!unit)
+      return `Unit '${uuid}' doesn't exist`;
+
+    if (unit.player !== this.player)
+      return `Unit '${uuid}' is not owned by player '${this.player.slot}'`;
+
+    return "";
+  }
+
+  // Validates that `uuid` is a city owned by the player.
+  validateCity(uuid) {
+    const city = this.game.getCity(uuid);
+    if (!city)
+      return `City '${uuid}' doesn't exist`;
+
+    if (city.player !== this.player)
+      return `City '${uuid}' is not owned by player '${this.player.slot}'`;
+
+    return "";
+  }
+
+  // Validates that `id` is a pending proposal made to the player.
+  validateProposal(id) {
+    const proposal = this.game.diplomacy.getProposal(id);
+    if (!proposal)
+      return `Proposal '${id}' doesn't exist`;
+
+    if (proposal.to !== this.player.slot)
+      return `Proposal '${id}' was not made to player '${this.player.slot}'`;
+
+    return "";
+  }
+
+  // Validates that `[x, y]` are integer coordinates within the map.
+  validateCoords(x, y) {
+    const map = this.game.map;
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= map.w || y >= map.h)
+      return `Coordinate [${x}, ${y}] is out of bounds`;
+    return "";
+  }
+}
+GameCommand.event = "";                    // Event emitted after the command was applied.
+GameCommand.editor = false;                // Command is only available in the editor.
+webciv.GameCommand = GameCommand;
+
+/**
+ * Registered commands, maps a command type to its class.
+ */
+const commands = newDict();
+webciv.commands = commands;
+
+/**
+ * Move a unit to an adjacent tile, see `Game.canMove()` and `Game.moveUnit()`.
+ * Moving to a tile occupied by enemy units attacks them, see `Game.attack()`.
+ *
+ * Data: `{ type: "MoveUnit", player, unit, x, y }`. The result contains
+ * `moved`, which is false if the unit failed a partial move or attacked, and
+ * `combat` if the unit attacked.
+ */
+class MoveUnitCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+    const map = this.game.map;
+
+    const error = this.validatePlayer() || this.validateUnit(data.unit) || this.validateCoords(data.x, data.y);
+    if (error) return error;
+
+    return this.game.canMove(this.game.getUnit(data.unit), data.x, data.y);
+  }
+
+  apply() {
+    const data = this.data;
+    const unit = this.game.getUnit(data.unit);
+
+    if (this.game.isAttack(unit, data.x, data.y))
+      return { x: unit.x, y: unit.y, moved: false, combat: this.game.attack(unit, data.x, data.y) };
+
+    const moved = this.game.moveUnit(unit, data.x, data.y);
+    return { x: unit.x, y: unit.y, moved: moved };
+  }
+}
+MoveUnitCommand.event = "unitMoved";
+commands.MoveUnit = MoveUnitCommand;
+
+/**
+ * Found a new city by using a unit (the unit is consumed).
+ *
+ * Data: `{ type: "FoundCity", player, unit }`.
+ */
+class FoundCityCommand extends GameCommand {
+  validate() {
+    const game = this.game;
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateUnit(data.unit);
+    if (error) return error;
+
+    const unit = game.getUnit(data.unit);
+    const tile = game.map.getTile(unit.x, unit.y);
+
+    if (!game.defs.units[unit.id].hasFlag("Settle"))
+      return `Unit '${data.unit}' cannot found cities`;
+
+    if (tile.category !== TerrainCategory.Land)
+      return `City cannot be founded on [${unit.x}, ${unit.y}], it's not land`;
+
+    if (tile.preventCity > 0)
+      return `City cannot be founded on [${unit.x}, ${unit.y}], it's too close to another city`;
+
+    return "";
+  }
+
+  apply() {
+    const city = this.game.buildCity(this.game.getUnit(this.data.unit));
+    return { city: city.uuid };
+  }
+}
+FoundCityCommand.event = "cityFounded";
+commands.FoundCity = FoundCityCommand;
+
+/**
+ * Fortify a land unit, which increases its defense until it moves.
+ *
+ * Data: `{ type: "FortifyUnit", player, unit }`.
+ */
+class FortifyUnitCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer() || this.validateUnit(this.data.unit);
+    if (error) return error;
+
+    const unit = this.game.getUnit(this.data.unit);
+    if (this.game.defs.units[unit.id].domain !== UnitDomain.Land)
+      return `Unit '${unit.uuid}' cannot fortify`;
+
+    if (unit.fortified)
+      return `Unit '${unit.uuid}' is already fortified`;
+
+    return "";
+  }
+
+  apply() {
+    const unit = this.game.getUnit(this.data.unit);
+
+    unit.fortified = true;
+    unit.improvement = -1;
+    unit.moves = 0;
+    return {};
+  }
+}
+FortifyUnitCommand.event = "unitFortified";
+commands.FortifyUnit = FortifyUnitCommand;
+
+/**
+ * Order a worker unit to build a terrain modifier on its tile, see
+ * `Game.canImprove()`. The work is done at the start of each turn.
+ *
+ * Data: `{ type: "BuildImprovement", player, unit, modifier }`, where
+ * `modifier` is a link like `"+[Road]"` or an empty string to stop working.
+ */
+class BuildImprovementCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+    const game = this.game;
+
+    const error = this.validatePlayer() || this.validateUnit(data.unit);
+    if (error) return error;
+
+    const unit = game.getUnit(data.unit);
+    if (data.modifier === "")
+      return "";
+
+    if (!game.defs.units[unit.id].hasFlag("Worker"))
+      return `Unit '${unit.uuid}' cannot build terrain improvements`;
+
+    const modifier = typeof data.modifier === "string" ? game.defs.resolveLink(data.modifier) : undefined;
+    if (!modifier || modifier.kind !== "Modifier")
+      return `Item '${data.modifier}' is not a modifier`;
+
+    if (unit.moves === 0)
+      return `Unit '${unit.uuid}' has no moves left`;
+
+    return game.canImprove(this.player, unit.x, unit.y, modifier.id);
+  }
+
+  apply() {
+    const data = this.data;
+    const game = this.game;
+    const unit = game.getUnit(data.unit);
+
+    if (data.modifier === "") {
+      unit.improvement = -1;
+      return { cost: 0 };
+    }
+
+    const modifier = game.defs.resolveLink(data.modifier);
+    const work = game.work.get(game.$workKey(unit.x, unit.y, modifier.id));
+
+    unit.improvement = modifier.id;
+    unit.fortified = false;
+    unit.moves = 0;
+
+    return { cost: game.getImprovementCost(unit.x, unit.y, modifier.id) - (work ? work.progress : 0) };
+  }
+}
+BuildImprovementCommand.event = "improvementOrdered";
+commands.BuildImprovement = BuildImprovementCommand;
+
+/**
+ * Disband a unit.
+ *
+ * Data: `{ type: "DisbandUnit", player, unit }`.
+ */
+class DisbandUnitCommand extends GameCommand {
+  validate() {
+    return this.validatePlayer() || this.validateUnit(this.data.unit);
+  }
+
+  apply() {
+    this.game.destroyUnit(this.game.getUnit(this.data.unit));
+    return {};
+  }
+}
+DisbandUnitCommand.event = "unitDisbanded";
+commands.DisbandUnit = DisbandUnitCommand;
+
+/**
+ * Change what a city produces.
+ *
+ * Data: `{ type: "SetProduction", player, city, item }`, where `item` is a
+ * unit or building link, like `"*[Settlers]"` or `"%[Granary]"`.
+ */
+class SetProductionCommand extends GameCommand {
+  validate() {
+    const game = this.game;
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateCity(data.city);
+    if (error) return error;
+
+    return game.getCity(data.city).canBuild(data.item);
+  }
+
+  apply() {
+    const city = this.game.getCity(this.data.city);
+    city.setProduction(this.data.item);
+    return { item: city.production, productionCount: city.productionCount };
+  }
+}
+SetProductionCommand.event = "productionChanged";
+commands.SetProduction = SetProductionCommand;
+
+/**
+ * Replace the production queue of a city, see `GameCity.queue`.
+ *
+ * Data: `{ type: "SetProductionQueue", player, city, items, repeat }`, where
+ * `items` is an array of unit and building links. Items that cannot be built
+ * when they are reached are skipped.
+ */
+class SetProductionQueueCommand extends GameCommand {
+  validate() {
+    const game = this.game;
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateCity(data.city);
+    if (error) return error;
+
+    if (!isArray(data.items))
+      return `Items must be an array`;
+
+    for (var i = 0; i < data.items.length; i++) {
+      const item = typeof data.items[i] === "string" ? game.defs.resolveLink(data.items[i]) : undefined;
+      if (!item || (item.kind !== "Unit" && item.kind !== "Building"))
+        return `Item '${data.items[i]}' is not a unit or building`;
+    }
+
+    return "";
+  }
+
+  apply() {
+    const city = this.game.getCity(this.data.city);
+
+    city.queue = this.data.items.slice();
+    city.repeat = Boolean(this.data.repeat);
+    return {};
+  }
+}
+SetProductionQueueCommand.event = "productionQueueChanged";
+commands.SetProductionQueue = SetProductionQueueCommand;
+
+/**
+ * Buy the rest of the current production of a city with gold.
+ *
+ * Data: `{ type: "BuyProduction", player, city }`.
+ */
+class BuyProductionCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateCity(data.city);
+    if (error) return error;
+
+    const city = this.game.getCity(data.city);
+    if (!city.production)
+      return `City '${city.name}' doesn't produce anything`;
+
+    const cost = city.getBuyCost();
+    if (cost === 0)
+      return `Production of city '${city.name}' is already complete`;
+
+    if (cost > this.player.gold)
+      return `Buying '${city.production}' costs ${cost} gold, but the player has only ${this.player.gold}`;
+
+    return "";
+  }
+
+  apply() {
+    return { cost: this.game.getCity(this.data.city).buy() };
+  }
+}
+BuyProductionCommand.event = "productionBought";
+commands.BuyProduction = BuyProductionCommand;
+
+/**
+ * Change the technology being researched.
+ *
+ * Data: `{ type: "SetResearch", player, tech }`, where `tech` is a link like
+ * `"@[Bronze Working]"`.
+ */
+class SetResearchCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer();
+    if (error) return error;
+
+    const tech = typeof this.data.tech === "string" ? this.game.defs.resolveLink(this.data.tech) : undefined;
+    if (!tech || tech.kind !== "Technology")
+      return `Item '${this.data.tech}' is not a technology`;
+
+    return this.player.canResearch(tech.id);
+  }
+
+  apply() {
+    this.player.setResearch(this.game.defs.resolveLink(this.data.tech).id);
+    return {};
+  }
+}
+SetResearchCommand.event = "researchChanged";
+commands.SetResearch = SetResearchCommand;
+
+/**
+ * Change the research goal, see `GamePlayer.setResearchGoal()`.
+ *
+ * Data: `{ type: "SetResearchGoal", player, tech }`, where `tech` is a link
+ * or an empty string to clear the goal.
+ */
+class SetResearchGoalCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer();
+    if (error) return error;
+
+    if (this.data.tech === "")
+      return "";
+
+    const tech = typeof this.data.tech === "string" ? this.game.defs.resolveLink(this.data.tech) : undefined;
+    if (!tech || tech.kind !== "Technology")
+      return `Item '${this.data.tech}' is not a technology`;
+
+    return "";
+  }
+
+  apply() {
+    const tech = this.data.tech ? this.game.defs.resolveLink(this.data.tech).id : -1;
+    this.player.setResearchGoal(tech);
+    return { research: this.player.research };
+  }
+}
+SetResearchGoalCommand.event = "researchGoalChanged";
+commands.SetResearchGoal = SetResearchGoalCommand;
+
+/**
+ * Set tax, science, and luxury rates of the player.
+ *
+ * Data: `{ type: "SetRates", player, tax, science, luxury }`, see
+ * `GamePlayer.canSetRates()`.
+ */
+class SetRatesCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer();
+    if (error) return error;
+
+    return this.player.canSetRates(this.data.tax, this.data.science, this.data.luxury);
+  }
+
+  apply() {
+    this.player.setRates(this.data.tax, this.data.science, this.data.luxury);
+    return {};
+  }
+}
+SetRatesCommand.event = "ratesChanged";
+commands.SetRates = SetRatesCommand;
+
+/**
+ * End the turn of the player.
+ *
+ * Data: `{ type: "EndTurn", player }`.
+ */
+class EndTurnCommand extends GameCommand {
+  validate() {
+    return this.validatePlayer();
+  }
+
+  apply() {
+    this.game.turns.endTurn(this.player);
+    return {};
+  }
+}
+EndTurnCommand.event = "turnEnded";
+commands.EndTurn = EndTurnCommand;
+
+/**
+ * Move a citizen of a city to work a tile and lock it there.
+ *
+ * Data: `{ type: "AssignTile", player, city, x, y }`.
+ */
+class AssignTileCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateCity(data.city);
+    if (error) return error;
+
+    return this.game.getCity(data.city).canAssignTile(data.x, data.y);
+  }
+
+  apply() {
+    const data = this.data;
+    const city = this.game.getCity(data.city);
+
+    city.assignTile(data.x, data.y);
+    city.update();
+    return {};
+  }
+}
+AssignTileCommand.event = "tileAssigned";
+commands.AssignTile = AssignTileCommand;
+
+/**
+ * Stop working a tile, the citizen becomes a specialist.
+ *
+ * Data: `{ type: "UnassignTile", player, city, x, y }`.
+ */
+class UnassignTileCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateCity(data.city);
+    if (error) return error;
+
+    const working = this.game.getCity(data.city).workingTiles;
+    for (var i = 0; i < working.length; i++)
+      if (working[i].x === data.x && working[i].y === data.y)
+        return "";
+
+    return `Tile [${data.x}, ${data.y}] is not worked by the city`;
+  }
+
+  apply() {
+    const data = this.data;
+    const city = this.game.getCity(data.city);
+
+    city.unassignTile(data.x, data.y);
+    city.update();
+    return {};
+  }
+}
+UnassignTileCommand.event = "tileUnassigned";
+commands.UnassignTile = UnassignTileCommand;
+
+/**
+ * Propose a trade or a treaty to another player, see `Diplomacy.canTrade()`.
+ *
+ * Data: `{ type: "Propose", player, to, offer, demand, treaty }`, where
+ * `offer` and `demand` are arrays of items (see `Diplomacy.parseItem()`) and
+ * `treaty` is a `DiplomacyState` to sign (optional).
+ */
+class ProposeCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateTerms(data.to);
+    if (error) return error;
+
+    if (this.game.diplomacy.findProposal(this.player, this.to))
+      return `There is already a pending proposal between players '${this.player.slot}' and '${this.to.slot}'`;
+
+    return this.game.diplomacy.canTrade(this.player, this.to, this.offer, this.demand, this.treaty);
+  }
+
+  // Validates and normalizes the receiver `to` (slot), and `data.offer`,
+  // `data.demand`, and `data.treaty`.
+  validateTerms(to) {
+    const data = this.data;
+    const diplomacy = this.game.diplomacy;
+
+    if (typeof to !== "number" || !this.game.players[to])
+      return `Player '${to}' doesn't exist`;
+
+    const lists = [data.offer || NoArray, data.demand || NoArray];
+    for (var i = 0; i < lists.length; i++) {
+      if (!isArray(lists[i]))
+        return `Proposal items must be an array`;
+
+      for (var j = 0; j < lists[i].length; j++)
+        if (diplomacy.parseItem(lists[i][j]) === null)
+          return `Proposal item '${JSON.stringify(lists[i][j])}' is invalid`;
+    }
+
+    const treaty = data.treaty || DiplomacyState.None;
+    if (treaty !== DiplomacyState.None && treaty !== DiplomacyState.Ceasefire && treaty !== DiplomacyState.Peace && treaty !== DiplomacyState.Alliance)
+      return `Treaty '${data.treaty}' is invalid`;
+
+    this.to = this.game.players[to];
+    this.offer = lists[0].map(diplomacy.parseItem, diplomacy);
+    this.demand = lists[1].map(diplomacy.parseItem, diplomacy);
+    this.treaty = treaty;
+    return "";
+  }
+
+  apply() {
+    const proposal = this.game.diplomacy.propose(this.player, this.to, this.offer, this.demand, this.treaty);
+    return { proposal: proposal.id };
+  }
+}
+ProposeCommand.event = "proposalMade";
+commands.Propose = ProposeCommand;
+
+/**
+ * Answer a proposal by a counter-proposal, which replaces it.
+ *
+ * Data: `{ type: "CounterPropose", player, proposal, offer, demand, treaty }`,
+ * where `offer` and `demand` are items given and demanded by `player`.
+ */
+class CounterProposeCommand extends ProposeCommand {
+  validate() {
+    const data = this.data;
+
+    const error = this.validatePlayer() || this.validateProposal(data.proposal) ||
+                  this.validateTerms(this.game.diplomacy.getProposal(data.proposal).from);
+    if (error) return error;
+
+    return this.game.diplomacy.canTrade(this.player, this.to, this.offer, this.demand, this.treaty);
+  }
+
+  apply() {
+    const diplomacy = this.game.diplomacy;
+    const proposal = diplomacy.counterPropose(diplomacy.getProposal(this.data.proposal), this.offer, this.demand, this.treaty);
+    return { proposal: proposal.id };
+  }
+}
+CounterProposeCommand.event = "proposalCountered";
+commands.CounterPropose = CounterProposeCommand;
+
+/**
+ * Accept a proposal made to the player.
+ *
+ * Data: `{ type: "AcceptProposal", player, proposal }`.
+ */
+class AcceptProposalCommand extends GameCommand {
+  validate() {
+    const game = this.game;
+
+    const error = this.validatePlayer() || this.validateProposal(this.data.proposal);
+    if (error) return error;
+
+    // The situation might have changed since the proposal was made.
+    const proposal = game.diplomacy.getProposal(this.data.proposal);
+    return game.diplomacy.canTrade(game.players[proposal.from], this.player, proposal.offer, proposal.demand, proposal.treaty);
+  }
+
+  apply() {
+    const diplomacy = this.game.diplomacy;
+    diplomacy.acceptProposal(diplomacy.getProposal(this.data.proposal));
+    return {};
+  }
+}
+AcceptProposalCommand.event = "proposalAccepted";
+commands.AcceptProposal = AcceptProposalCommand;
+
+/**
+ * Reject a proposal made to the player, or withdraw a proposal made by it.
+ *
+ * Data: `{ type: "RejectProposal", player, proposal }`.
+ */
+class RejectProposalCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer();
+    if (error) return error;
+
+    const id = this.data.proposal;
+    const proposal = this.game.diplomacy.getProposal(id);
+
+    if (!proposal)
+      return `Proposal '${id}' doesn't exist`;
+
+    if (proposal.to !== this.player.slot && proposal.from !== this.player.slot)
+      return `Proposal '${id}' doesn't involve player '${this.player.slot}'`;
+
+    return "";
+  }
+
+  apply() {
+    const diplomacy = this.game.diplomacy;
+    diplomacy.rejectProposal(diplomacy.getProposal(this.data.proposal));
+    return {};
+  }
+}
+RejectProposalCommand.event = "proposalRejected";
+commands.RejectProposal = RejectProposalCommand;
+
+/**
+ * Declare war on another player, see `Diplomacy.declareWar()`.
+ *
+ * Data: `{ type: "DeclareWar", player, to }`.
+ */
+class DeclareWarCommand extends GameCommand {
+  validate() {
+    const error = this.validatePlayer();
+    if (error) return error;
+
+    const to = typeof this.data.to === "number" ? this.game.players[this.data.to] : undefined;
+    if (!to)
+      return `Player '${this.data.to}' doesn't exist`;
+
+    return this.game.diplomacy.canDeclareWar(this.player, to);
+  }
+
+  apply() {
+    this.game.diplomacy.declareWar(this.player, this.game.players[this.data.to]);
+    return {};
+  }
+}
+DeclareWarCommand.event = "warDeclared";
+commands.DeclareWar = DeclareWarCommand;
+
+/**
+ * Change terrain and modifiers of a tile (editor only).
+ *
+ * Data: `{ type: "EditTile", x, y, id, modifiers }`.
+ */
+class EditTileCommand extends GameCommand {
+  validate() {
+    const data = this.data;
+    const terrains = this.game.defs.terrains;
+
+    const error = this.validateCoords(data.x, data.y);
+    if (error) return error;
+
+    if (!Number.isInteger(data.id) || data.id < 0 || data.id >= terrains.length)
+      return `Terrain '${data.id}' doesn't exist`;
+
+    if (!Number.isInteger(data.modifiers) || data.modifiers < 0)
+      return `Modifiers '${data.modifiers}' are invalid`;
+
+    return "";
+  }
+
+  apply() {
+    const data = this.data;
+    this.game.map.setTileIdAndModifiers(data.x, data.y, data.id, data.modifiers);
+    return {};
+  }
+}
+EditTileCommand.event = "tileEdited";
+EditTileCommand.editor = true;
+commands.EditTile = EditTileCommand;
+
+// ============================================================================
+// [Pathfinder]
+// ============================================================================
+
+/**
+ * Binary min-heap of pathfinder nodes ordered by `f`.
+ */
+class PathHeap {
+  constructor() {
+    this.nodes = [];
+  }
+
+  get length() {
+    return this.nodes.length;
+  }
+
+  push(node) {
+    const nodes = this.nodes;
+    var i = nodes.length;
+
+    nodes.push(node);
+    while (i > 0) {
+      const parent = (i - 1) >>> 1;
+      if (nodes[parent].f <= node.f)
+        break;
+
+      nodes[i] = nodes[parent];
+      i = parent;
+    }
+    nodes[i] = node;
+  }
+
+  pop() {
+    const nodes = this.nodes;
+    const top = nodes[0];
+    const last = nodes.pop();
+
+    if (nodes.length) {
+      const len = nodes.length;
+      var i = 0;
+
+      for (;;) {
+        var child = i * 2 + 1;
+        if (child >= len)
+          break;
+
+        if (child + 1 < len && nodes[child + 1].f < nodes[child].f)
+          child++;
+
+        if (nodes[child].f >= last.f)
+          break;
+
+        nodes[i] = nodes[child];
+        i = child;
+      }
+      nodes[i] = last;
+    }
+
+    return top;
+  }
+}
+
+/**
+ * A* pathfinder used to plan multi-turn routes of units.
+ *
+ * The cost of a path is the turn in which the unit arrives and then the
+ * moves it has left, so a path that arrives earlier always wins. The search
+ * is pessimistic about partial moves (see `Game.moveUnit()`) - if the unit
+ * doesn't have enough moves it waits for the next turn.
+ *
+ * Tiles not uncovered by the unit's player are never inspected, they are
+ * either impassable or cost one move point if `options.unknown` is true, and
+ * uncovered tiles out of the player's sight are seen as the player remembers
+ * them (without units), so paths don't leak anything the player doesn't know.
+ * Results are cached until the game invalidates any tile or a player uncovers
+ * a tile or its sight changes.
+ */
+class Pathfinder {
+  constructor(game) {
+    this.game = game;                      // Game where paths are searched.
+    this.cache = new Map();                // Cached paths.
+
+    game.on("mapResize"        , this.clear, this);
+    game.on("invalidateAll"    , this.clear, this);
+    game.on("invalidateTile"   , this.clear, this);
+    game.on("invalidateRect"   , this.clear, this);
+    game.on("uncovered"        , this.clear, this);
+    game.on("visibilityChanged", this.clear, this);
+  }
+
+  clear() {
+    if (this.cache.size)
+      this.cache.clear();
+  }
+
+  /**
+   * Find a path of `unit` from its tile to [x, y].
+   *
+   * Returns null if there is no path, otherwise an object that contains:
+   *   - `steps` - All tiles of the path as `{ x, y, turn, moves }`, where
+   *     `turn` is relative to the current turn (0 is the current turn) and
+   *     `moves` are move fragments left after entering the tile.
+   *   - `waypoints` - The last step of each turn.
+   *   - `turns` - Count of turns needed to reach the destination.
+   *
+   * The returned object is shared with the cache and must not be modified.
+   *
+   * Options:
+   *   - `unknown` - Allow paths through tiles not uncovered by the player.
+   */
+  findPath(unit, x, y, options) {
+    const map = this.game.map;
+    const unknown = options ? Boolean(options.unknown) : false;
+
+    x = map.normX(x);
+    y = map.normY(y);
+
+    const key = `${unit.uuid}:${unit.x},${unit.y}:${unit.moves}:${x},${y}:${unknown ? 1 : 0}`;
+    var path = this.cache.get(key);
+
+    if (path === undefined) {
+      path = this.$search(unit, x, y, unknown);
+      this.cache.set(key, path);
+    }
+
+    return path;
+  }
+
+  $search(unit, dstX, dstY, unknown) {
+    const game = this.game;
+    const map = game.map;
+    const rules = game.rules;
+
+    const w = map.w;
+    const h = map.h;
+    const tiles = map.tiles;
+
+    const player = unit.player;
+    const info = game.defs.units[unit.id];
+    const domain = info.domain;
+
+    const fragments = rules["MoveFragments"];
+    const full = info.moves * fragments;
+    const scale = full + 1;
+
+    const start = unit.y * w + unit.x;
+    const goal = dstY * w + dstX;
+
+    if (start === goal)
+      return { steps: [], waypoints: [], turns: 0 };
+
+    if (full <= 0 || !this.$isPassable(player, domain, tiles[goal], unknown))
+      return null;
+
+    // Cheapest possible move, keeps the heuristic admissible.
+    const minCost = domain === UnitDomain.Land
+      ? Math.min(fragments, rules["RoadMoveCost"], rules["RailroadMoveCost"], rules["RiverMoveCost"])
+      : fragments;
+
+    const best = new Float64Array(w * h).fill(Infinity);
+    const zoc = new Int8Array(w * h).fill(-1);
+    const heap = new PathHeap();
+
+    const heuristic = function(x, y) {
+      const dx = map.flipX ? GameUtils.distance(x, dstX, w) : Math.abs(x - dstX);
+      const dy = map.flipY ? GameUtils.distance(y, dstY, h) : Math.abs(y - dstY);
+      return Math.max(dx, dy) * minCost;
+    };
+
+    best[start] = 0;
+    heap.push({ index: start, x: unit.x, y: unit.y, turn: 0, moves: unit.moves, g: 0, f: heuristic(unit.x, unit.y), parent: null });
+
+    while (heap.length) {
+      const node = heap.pop();
+      if (node.g > best[node.index])
+        continue;
+
+      if (node.index === goal)
+        return this.$makePath(node);
+
+      const src = tiles[node.index];
+      const srcKnown = player.isUncovered(node.x, node.y);
+      const srcZoc = domain === UnitDomain.Land && srcKnown && this.$isZoc(zoc, player, node.x, node.y);
+
+      for (var i = 0; i < Neighbors.length; i++) {
+        const x = map.normX(node.x + Neighbors[i].x);
+        const y = map.normY(node.y + Neighbors[i].y);
+        const index = y * w + x;
+
+        if (index === node.index)
+          continue;
+
+        const dst = tiles[index];
+        if (!this.$isPassable(player, domain, dst, unknown))
+          continue;
+
+        const dstKnown = player.isUncovered(x, y);
+        if (srcZoc && dstKnown && dst.units === null && dst.city === null && this.$isZoc(zoc, player, x, y))
+          continue;
+
+        const cost = srcKnown && dstKnown ? game.$moveCost(domain, src, dst) : fragments;
+
+        var turn = node.turn;
+        var moves = node.moves;
+
+        if (moves <= 0) {
+          turn++;
+          moves = full;
+        }
+
+        if (moves >= cost) {
+          moves -= cost;
+        }
+        else if (moves === full) {
+          moves = 0;
+        }
+        else {
+          turn++;
+          moves = Math.max(full - cost, 0);
+        }
+
+        const g = turn * scale + (full - moves);
+        if (g >= best[index])
+          continue;
+
+        best[index] = g;
+        heap.push({ index: index, x: x, y: y, turn: turn, moves: moves, g: g, f: g + heuristic(x, y), parent: node });
+      }
+    }
+
+    return null;
+  }
+
+  // Whether the unit can enter `tile` at all, ignoring move points.
+  $isPassable(player, domain, tile, unknown) {
+    if (!player.isUncovered(tile.x, tile.y))
+      return unknown;
+
+    // Tiles out of sight are seen as the player remembers them.
+    const snapshot = player.getSnapshot(tile.x, tile.y);
+    var cityOwner = -1;
+
+    if (snapshot !== null) {
+      if (snapshot.city !== null)
+        cityOwner = snapshot.city.player;
+    }
+    else {
+      if (tile.city !== null)
+        cityOwner = tile.city.player.slot;
+
+      if (tile.units !== null && tile.units.player !== player)
+        return false;
+    }
+
+    if (cityOwner !== -1 && cityOwner !== player.slot)
+      return false;
+
+    if (domain === UnitDomain.Land)
+      return tile.category === TerrainCategory.Land;
+
+    if (domain === UnitDomain.Sea)
+      return tile.category === TerrainCategory.Ocean || cityOwner !== -1;
+
+    return true;
+  }
+
+  // Zone of control of known tiles, memoized per search.
+  $isZoc(zoc, player, x, y) {
+    const index = y * this.game.map.w + x;
+    if (zoc[index] === -1)
+      zoc[index] = this.game.isZoneOfControl(player, x, y, true) ? 1 : 0;
+    return zoc[index] === 1;
+  }
+
+  $makePath(node) {
+    const steps = [];
+    for (; node.parent !== null; node = node.parent)
+      steps.push({ x: node.x, y: node.y, turn: node.turn, moves: node.moves });
+    steps.reverse();
+
+    const waypoints = [];
+    for (var i = 0; i < steps.length; i++)
+      if (i === steps.length - 1 || steps[i + 1].turn !== steps[i].turn)
+        waypoints.push(steps[i]);
+
+    return { steps: steps, waypoints: waypoints, turns: steps[steps.length - 1].turn + 1 };
+  }
+}
+webciv.Pathfinder = Pathfinder;
+
+// ============================================================================
+// [Diplomacy]
+// ============================================================================
+
+/**
+ * Diplomatic state between two players.
+ */
+const DiplomacyState = freeze({
+  None        : 0,                       // No contact yet.
+  War         : 1,                       // At war, units can attack each other.
+  Ceasefire   : 2,                       // Temporary, reverts to war when it expires.
+  Peace       : 3,                       // Peace treaty.
+  Alliance    : 4                        // Alliance.
+});
+webciv.DiplomacyState = DiplomacyState;
+
+const DiplomacyStateNames = freeze(["None", "War", "Ceasefire", "Peace", "Alliance"]);
+
+// Treaties that can be signed in each state, indexed by `DiplomacyState`.
+const DiplomacyTreaties = freeze([
+  freeze([]),
+  freeze([DiplomacyState.Ceasefire, DiplomacyState.Peace]),
+  freeze([DiplomacyState.Peace]),
+  freeze([DiplomacyState.Alliance]),
+  freeze([])
+]);
+
+/**
+ * Diplomacy between players, owned by the game as `game.diplomacy`.
+ *
+ * Each pair of players has a relation, which is created on the first contact
+ * (units or borders of both players meet) and starts at war. Players change
+ * the state by proposals that can carry a treaty and items to exchange (see
+ * `parseItem()`), and by declaring war, which violates any treaty in effect.
+ *
+ * Each player also has an attitude (-100 to 100) towards every player it has
+ * met, which changes by treaties, gifts, and wars, and which is used by AI.
+ *
+ * Events (emitted by the game):
+ *   - "contact" (player, other) - Players met for the first time.
+ *   - "diplomacyChanged" (player, other, state, prev) - State has changed.
+ *   - "treatyViolated" (player, other, prev) - The player broke a treaty.
+ *   - "proposalExpired" (proposal) - A proposal wasn't answered in time.
+ */
+class Diplomacy {
+  constructor(game) {
+    this.game = game;                      // Game that owns the diplomacy.
+    this.relations = new Map();            // Relations of player pairs, see `$key()`.
+    this.violations = [];                  // Treaties violated by each player (by slot).
+    this.proposals = [];                   // Pending proposals.
+    this.proposalGenerator = 0;            // Proposal id generator.
+  }
+
+  serialize() {
+    return {
+      relations        : Array.from(this.relations.values(), function(relation) {
+        return Object.assign({}, relation, { attitude: relation.attitude.slice() });
+      }),
+      violations       : this.violations.slice(),
+      proposals        : GameUtils.cloneDeep(this.proposals),
+      proposalGenerator: this.proposalGenerator
+    };
+  }
+
+  deserialize(data) {
+    const game = this.game;
+    const relations = isArray(data.relations) ? data.relations : NoArray;
+
+    for (var i = 0; i < relations.length; i++) {
+      const src = relations[i];
+      const a = SAVE_PLAYER(game, src.a);
+      const b = SAVE_PLAYER(game, src.b);
+
+      if (a.slot >= b.slot || !Number.isInteger(src.state) || src.state <= DiplomacyState.None || src.state > DiplomacyState.Alliance)
+        FAILED(`Save contains invalid relation of players #${src.a} and #${src.b}`);
+
+      const relation = this.$newRelation(a, b, src.state);
+      relation.since = src.since || 0;
+      relation.expires = typeof src.expires === "number" ? src.expires : -1;
+      relation.attitude[0] = isArray(src.attitude) ? src.attitude[0] || 0 : 0;
+      relation.attitude[1] = isArray(src.attitude) ? src.attitude[1] || 0 : 0;
+    }
+
+    this.violations = isArray(data.violations) ? data.violations.slice() : [];
+
+    const proposals = isArray(data.proposals) ? data.proposals : NoArray;
+    for (var i = 0; i < proposals.length; i++) {
+      const proposal = GameUtils.cloneDeep(proposals[i]);
+      SAVE_PLAYER(game, proposal.from);
+      SAVE_PLAYER(game, proposal.to);
+      this.proposals.push(proposal);
+    }
+
+    this.proposalGenerator = data.proposalGenerator || 0;
+    return this;
+  }
+
+  // Key of a relation of two players.
+  $key(a, b) {
+    return a.slot < b.slot ? a.slot * GameLimits.MaxPlayers + b.slot
+                           : b.slot * GameLimits.MaxPlayers + a.slot;
+  }
+
+  $newRelation(a, b, state) {
+    const relation = {
+      a       : Math.min(a.slot, b.slot),  // Player having the lower slot.
+      b       : Math.max(a.slot, b.slot),  // Player having the higher slot.
+      state   : state,                     // Diplomatic state.
+      since   : this.game.turnIndex,       // Turn when the state started.
+      expires : -1,                        // Turn when a ceasefire expires or -1.
+      attitude: [0, 0]                     // Attitude of `a` towards `b` and of `b` towards `a`.
+    };
+
+    this.relations.set(this.$key(a, b), relation);
+    return relation;
+  }
+
+  getRelation(a, b) {
+    return this.relations.get(this.$key(a, b)) || null;
+  }
+
+  getState(a, b) {
+    const relation = a !== b ? this.getRelation(a, b) : null;
+    return relation ? relation.state : DiplomacyState.None;
+  }
+
+  hasContact(a, b) {
+    return this.getState(a, b) !== DiplomacyState.None;
+  }
+
+  /**
+   * Get the attitude of `player` towards `other` (-100 to 100).
+   */
+  getAttitude(player, other) {
+    const relation = player !== other ? this.getRelation(player, other) : null;
+    return relation ? relation.attitude[player.slot === relation.a ? 0 : 1] : 0;
+  }
+
+  changeAttitude(player, other, delta) {
+    const relation = player !== other ? this.getRelation(player, other) : null;
+    if (relation === null)
+      return;
+
+    const i = player.slot === relation.a ? 0 : 1;
+    relation.attitude[i] = GameUtils.clamp(relation.attitude[i] + delta, -100, 100);
+  }
+
+  getViolations(player) {
+    return this.violations[player.slot] || 0;
+  }
+
+  /**
+   * Establish contact between `a` and `b` if they haven't met yet.
+   */
+  makeContact(a, b) {
+    if (a === b || a.eliminated || b.eliminated || this.hasContact(a, b))
+      return;
+
+    this.$newRelation(a, b, DiplomacyState.War);
+    this.game.emit("contact", a, b);
+  }
+
+  /**
+   * Make contact between `player` and owners of units and cities adjacent to
+   * the tile at [x, y].
+   */
+  checkContact(player, x, y) {
+    const map = this.game.map;
+
+    for (var i = 0; i < Neighbors.length; i++) {
+      const tile = map.getTileSafe(x + Neighbors[i].x, y + Neighbors[i].y);
+
+      if (tile.units !== null && tile.units.player !== player)
+        this.makeContact(player, tile.units.player);
+
+      if (tile.city !== null && tile.city.player !== player)
+        this.makeContact(player, tile.city.player);
+    }
+  }
+
+  /**
+   * Make contact between players whose territories touch.
+   */
+  checkBorders() {
+    const game = this.game;
+    const map = game.map;
+    const players = game.players;
+
+    for (var y = 0; y < map.h; y++) {
+      for (var x = 0; x < map.w; x++) {
+        const territory = map.getTile(x, y).territory;
+        if (territory === -1)
+          continue;
+
+        // Right, bottom-left, bottom, and bottom-right neighbors cover all pairs.
+        for (var i = 0; i < 4; i++) {
+          const other = map.getTileSafe(x + (i === 0 ? 1 : i - 2), y + (i === 0 ? 0 : 1)).territory;
+          if (other !== -1 && other !== territory && players[territory] && players[other])
+            this.makeContact(players[territory], players[other]);
+        }
+      }
+    }
+  }
+
+  $setState(a, b, state) {
+    const relation = this.getRelation(a, b);
+    const prev = relation.state;
+
+    relation.state = state;
+    relation.since = this.game.turnIndex;
+    relation.expires = state === DiplomacyState.Ceasefire
+      ? this.game.turnIndex + this.game.rules["CeasefireTurns"] : -1;
+
+    this.game.emit("diplomacyChanged", a, b, state, prev);
+  }
+
+  /**
+   * Check whether `player` can declare war on `other`.
+   */
+  canDeclareWar(player, other) {
+    if (player === other)
+      return `Player cannot declare war on itself`;
+
+    if (other.eliminated)
+      return `Player '${other.slot}' was eliminated`;
+
+    const state = this.getState(player, other);
+    if (state === DiplomacyState.None)
+      return `Player '${player.slot}' has no contact with player '${other.slot}'`;
+
+    if (state === DiplomacyState.War)
+      return `Players '${player.slot}' and '${other.slot}' are already at war`;
+
+    return "";
+  }
+
+  /**
+   * Declare war on `other`, which violates the treaty in effect. All players
+   * that know the violator like it less, the victim even more so.
+   */
+  declareWar(player, other) {
+    const game = this.game;
+    const rules = game.rules;
+    const prev = this.getState(player, other);
+
+    this.$setState(player, other, DiplomacyState.War);
+    this.changeAttitude(other, player, -rules["AttitudeWar"]);
+
+    this.violations[player.slot] = this.getViolations(player) + 1;
+    for (var i = 0; i < game.players.length; i++) {
+      const witness = game.players[i];
+      if (witness && witness !== player && this.hasContact(witness, player))
+        this.changeAttitude(witness, player, -rules["AttitudeViolation"]);
+    }
+
+    game.emit("treatyViolated", player, other, prev);
+  }
+
+  // --------------------------------------------------------------------------
+  // [Proposals]
+  // --------------------------------------------------------------------------
+
+  /**
+   * Convert `data` describing an item of a proposal to its normalized form,
+   * returns null if `data` is not a valid item. Items are:
+   *
+   *   - `{ type: "tech", tech }` - Technology given by its link.
+   *   - `{ type: "gold", amount }` - Gold.
+   *   - `{ type: "city", city }` - City given by its UUID.
+   *   - `{ type: "map" }` - Uncovered area of the map.
+   */
+  parseItem(data) {
+    if (data === null || typeof data !== "object")
+      return null;
+
+    switch (data.type) {
+      case "tech": {
+        const tech = typeof data.tech === "string" ? this.game.defs.resolveLink(data.tech) : undefined;
+        return tech && tech.kind === "Technology" ? { type: "tech", tech: tech.id } : null;
+      }
+
+      case "gold":
+        return Number.isInteger(data.amount) && data.amount > 0 ? { type: "gold", amount: data.amount } : null;
+
+      case "city":
+        return typeof data.city === "number" ? { type: "city", city: data.city } : null;
+
+      case "map":
+        return { type: "map" };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check whether `giver` can give a normalized `item` to `receiver`.
+   */
+  canGive(giver, receiver, item) {
+    const game = this.game;
+
+    switch (item.type) {
+      case "tech": {
+        const tech = game.defs.technologies[item.tech];
+        if (!giver.hasTechnology(item.tech))
+          return `Player '${giver.slot}' doesn't know '${tech.name}'`;
+        if (receiver.hasTechnology(item.tech))
+          return `Player '${receiver.slot}' already knows '${tech.name}'`;
+        return "";
+      }
+
+      case "gold":
+        if (giver.gold < item.amount)
+          return `Player '${giver.slot}' has only ${giver.gold} gold`;
+        return "";
+
+      case "city": {
+        const city = game.getCity(item.city);
+        if (!city || city.player !== giver)
+          return `City '${item.city}' is not owned by player '${giver.slot}'`;
+
+        if (giver.cities.length === 1)
+          return `Player '${giver.slot}' cannot give away its last city`;
+
+        for (var i = 0; i < city.buildings.length; i++)
+          if (game.defs.buildings[city.buildings[i].id].hasFlag("Capital"))
+            return `City '${city.name}' is the capital of player '${giver.slot}'`;
+
+        if (game.map.getTile(city.x, city.y).units !== null)
+          return `City '${city.name}' cannot be given away while units are in it`;
+
+        return "";
+      }
+
+      case "map":
+        return "";
+    }
+
+    return `Item '${item.type}' is invalid`;
+  }
+
+  /**
+   * Check whether `player` and `other` can sign `treaty` (`DiplomacyState`).
+   */
+  canSignTreaty(player, other, treaty) {
+    const state = this.getState(player, other);
+    if (DiplomacyTreaties[state].indexOf(treaty) === -1)
+      return `Treaty '${DiplomacyStateNames[treaty] || treaty}' cannot be signed in state '${DiplomacyStateNames[state]}'`;
+    return "";
+  }
+
+  /**
+   * Check whether terms of a proposal from `from` to `to` are valid, `offer`
+   * and `demand` are normalized items given by `from` and `to`, respectively,
+   * and `treaty` is a `DiplomacyState` to sign or `DiplomacyState.None`.
+   */
+  canTrade(from, to, offer, demand, treaty) {
+    if (from === to)
+      return `Player cannot trade with itself`;
+
+    if (to.eliminated)
+      return `Player '${to.slot}' was eliminated`;
+
+    if (!this.hasContact(from, to))
+      return `Player '${from.slot}' has no contact with player '${to.slot}'`;
+
+    if (!offer.length && !demand.length && treaty === DiplomacyState.None)
+      return `Proposal is empty`;
+
+    return (treaty !== DiplomacyState.None ? this.canSignTreaty(from, to, treaty) : "") ||
+           this.$canGiveAll(from, to, offer) ||
+           this.$canGiveAll(to, from, demand);
+  }
+
+  // Check whether `giver` can give all `items` to `receiver`. Items are given
+  // at once, so gold and cities given away add up and an item cannot repeat.
+  $canGiveAll(giver, receiver, items) {
+    const given = new Set();
+
+    var gold = 0;
+    var cities = 0;
+
+    for (var i = 0; i < items.length; i++) {
+      const item = items[i];
+      const error = this.canGive(giver, receiver, item);
+      if (error) return error;
+
+      if (item.type === "gold") {
+        gold += item.amount;
+        if (giver.gold < gold)
+          return `Player '${giver.slot}' has only ${giver.gold} gold`;
+        continue;
+      }
+
+      const key = JSON.stringify(item);
+      if (given.has(key))
+        return `Proposal item '${key}' is given more than once`;
+      given.add(key);
+
+      if (item.type === "city" && ++cities >= giver.cities.length)
+        return `Player '${giver.slot}' cannot give away its last city`;
+    }
+
+    return "";
+  }
+
+  getProposal(id) {
+    const proposals = this.proposals;
+    for (var i = 0; i < proposals.length; i++)
+      if (proposals[i].id === id)
+        return proposals[i];
+    return null;
+  }
+
+  /**
+   * Get a pending proposal between `a` and `b` (in any direction) or null.
+   */
+  findProposal(a, b) {
+    const proposals = this.proposals;
+    for (var i = 0; i < proposals.length; i++) {
+      const p = proposals[i];
+      if ((p.from === a.slot && p.to === b.slot) || (p.from === b.slot && p.to === a.slot))
+        return p;
+    }
+    return null;
+  }
+
+  /**
+   * Create a proposal, which must pass `canTrade()`. There can be only one
+   * pending proposal between two players.
+   */
+  propose(from, to, offer, demand, treaty) {
+    const proposal = {
+      id    : ++this.proposalGenerator,
+      from  : from.slot,
+      to    : to.slot,
+      turn  : this.game.turnIndex,
+      offer : offer,
+      demand: demand,
+      treaty: treaty
+    };
+
+    this.proposals.push(proposal);
+    return proposal;
+  }
+
+  /**
+   * Replace `proposal` by a counter-proposal going in the opposite direction.
+   */
+  counterPropose(proposal, offer, demand, treaty) {
+    const players = this.game.players;
+
+    this.$removeProposal(proposal);
+    return this.propose(players[proposal.to], players[proposal.from], offer, demand, treaty);
+  }
+
+  rejectProposal(proposal) {
+    this.$removeProposal(proposal);
+  }
+
+  /**
+   * Accept `proposal`, its terms must still pass `canTrade()`.
+   */
+  acceptProposal(proposal) {
+    const game = this.game;
+    const rules = game.rules;
+    const from = game.players[proposal.from];
+    const to = game.players[proposal.to];
+
+    var i;
+
+    this.$removeProposal(proposal);
+
+    for (i = 0; i < proposal.offer.length; i++)
+      this.$give(from, to, proposal.offer[i]);
+
+    for (i = 0; i < proposal.demand.length; i++)
+      this.$give(to, from, proposal.demand[i]);
+
+    if (proposal.treaty !== DiplomacyState.None) {
+      this.$setState(from, to, proposal.treaty);
+      this.changeAttitude(from, to, rules["AttitudeTreaty"]);
+      this.changeAttitude(to, from, rules["AttitudeTreaty"]);
+    }
+
+    // Something for nothing is a gift.
+    if (!proposal.demand.length && proposal.offer.length)
+      this.changeAttitude(to, from, rules["AttitudeGift"]);
+    if (!proposal.offer.length && proposal.demand.length)
+      this.changeAttitude(from, to, rules["AttitudeGift"]);
+  }
+
+  $removeProposal(proposal) {
+    const i = this.proposals.indexOf(proposal);
+    if (i !== -1)
+      this.proposals.splice(i, 1);
+  }
+
+  $give(giver, receiver, item) {
+    const game = this.game;
+    const map = game.map;
+
+    switch (item.type) {
+      case "tech":
+        receiver.addTechnology(item.tech);
+        if (receiver.research === item.tech)
+          receiver.$continueResearch();
+        break;
+
+      case "gold":
+        giver.gold -= item.amount;
+        receiver.gold += item.amount;
+        game.emit("treasuryChanged", giver, giver.gold, giver.goldPerTurn);
+        game.emit("treasuryChanged", receiver, receiver.gold, receiver.goldPerTurn);
+        break;
+
+      case "city":
+        game.transferCity(game.getCity(item.city), receiver);
+        break;
+
+      case "map":
+        for (var y = 0; y < map.h; y++)
+          for (var x = 0; x < map.w; x++)
+            if (giver.isUncovered(x, y))
+              receiver.uncoverTile(x, y);
+        break;
+    }
+  }
+
+  /**
+   * Per-turn update - expires ceasefires and proposals that weren't answered
+   * within a turn, and drops relations of eliminated players.
+   */
+  update() {
+    const game = this.game;
+    const players = game.players;
+    const turn = game.turnIndex;
+
+    for (const relation of Array.from(this.relations.values())) {
+      const a = players[relation.a];
+      const b = players[relation.b];
+
+      if (a.eliminated || b.eliminated)
+        this.relations.delete(this.$key(a, b));
+      else if (relation.state === DiplomacyState.Ceasefire && relation.expires <= turn)
+        this.$setState(a, b, DiplomacyState.War);
+    }
+
+    const proposals = this.proposals.slice();
+    for (var i = 0; i < proposals.length; i++) {
+      const p = proposals[i];
+      if (turn > p.turn + 1 || players[p.from].eliminated || players[p.to].eliminated) {
+        this.$removeProposal(p);
+        game.emit("proposalExpired", p);
+      }
+    }
+  }
+}
+webciv.Diplomacy = Diplomacy;
+
+// ============================================================================
+// [TurnManager]
+// ============================================================================
+
+/**
+ * Turn mode.
+ */
+const TurnMode = freeze({
+  Sequential  : 0,                       // Players play one after another.
+  Simultaneous: 1                        // All players play at the same time.
+});
+webciv.TurnMode = TurnMode;
+
+/**
+ * Turn phase.
+ */
+const TurnPhase = freeze({
+  Pending     : 0,                       // Waiting for `TurnManager.startTurn()`.
+  Start       : 1,                       // Start-of-turn upkeep.
+  Actions     : 2,                       // Players issue commands.
+  End         : 3                        // End-of-turn.
+});
+webciv.TurnPhase = TurnPhase;
+
+/**
+ * Turn manager, owned by the game as `game.turns`.
+ *
+ * Each turn goes through the following phases, all announced by "phase":
+ *
+ *   - `TurnPhase.Start` - upkeep of players that play the turn (terrain work,
+ *     cities, treasury, research, and restoring of move points).
+ *   - `TurnPhase.Actions` - "turnStart" is emitted for each playing player,
+ *     which then issues commands until it ends its turn by "EndTurn".
+ *   - `TurnPhase.End` - all playing players ended their turn. Defeated
+ *     players are eliminated and victory conditions are evaluated, see
+ *     `Game.setVictory()`. No turn starts after the game is over.
+ *
+ * In `TurnMode.Sequential` only the player at `game.turnPlayerSlot` plays and
+ * the game turn advances after the last player. In `TurnMode.Simultaneous`
+ * all players play at the same time and the game turn advances once all of
+ * them ended their turn. Players that no longer exist are always skipped.
+ *
+ * If `game.autoTurn` is true the next turn starts automatically and turns
+ * are limited by `timeLimit` (ms, 0 means unlimited) - players that run out
+ * of time have their turn ended by "EndTurn" command, so it's recorded like
+ * any other command. Timers are not part of the game state.
+ *
+ * Events (emitted by the game):
+ *   - "turnModeChanged" (mode) - The turn mode was changed.
+ *   - "phase" (phase, player) - A phase started, `player` is null if the
+ *     phase applies to all players (simultaneous mode).
+ *   - "turnStart" (player) - The player can issue commands.
+ *   - "turnEnd" (player) - The player ended its turn.
+ *   - "turnTimeout" (player) - The player ran out of time.
+ */
+class TurnManager {
+  constructor(game) {
+    this.game = game;                      // Game that owns the manager.
+    this.mode = TurnMode.Sequential;       // Turn mode.
+    this.phase = TurnPhase.Pending;        // Current phase.
+    this.timeLimit = 0;                    // Time limit of a turn (ms) or 0.
+
+    this.playing = [];                     // Slots of players playing the current turn.
+    this.ended = [];                       // Slots of players that ended the current turn.
+
+    this.$pendingId = null;                // Scheduled `startTurn()`.
+    this.$timerId = null;                  // Turn timer.
+  }
+
+  serialize() {
+    return {
+      mode     : this.mode,
+      phase    : this.phase,
+      timeLimit: this.timeLimit,
+      playing  : this.playing.slice(),
+      ended    : this.ended.slice()
+    };
+  }
+
+  deserialize(data) {
+    const game = this.game;
+
+    if (data.mode !== undefined && data.mode !== TurnMode.Sequential && data.mode !== TurnMode.Simultaneous)
+      FAILED(`Save contains invalid turn mode '${data.mode}'`);
+
+    if (data.phase !== undefined && data.phase !== TurnPhase.Pending && data.phase !== TurnPhase.Actions)
+      FAILED(`Save contains invalid turn phase '${data.phase}'`);
+
+    this.mode = data.mode || TurnMode.Sequential;
+    this.phase = data.phase || TurnPhase.Pending;
+    this.timeLimit = Math.max(Number(data.timeLimit) || 0, 0);
+    this.playing = (isArray(data.playing) ? data.playing : NoArray).map(function(slot) { return SAVE_PLAYER(game, slot).slot; });
+    this.ended = (isArray(data.ended) ? data.ended : NoArray).map(function(slot) { return SAVE_PLAYER(game, slot).slot; });
+
+    return this;
+  }
+
+  isPending() {
+    return this.phase === TurnPhase.Pending;
+  }
+
+  /**
+   * Check whether `player` plays the current turn and hasn't ended it yet.
+   */
+  canAct(player) {
+    const slot = player.slot;
+    return this.phase === TurnPhase.Actions &&
+           this.playing.indexOf(slot) !== -1 &&
+           this.ended.indexOf(slot) === -1;
+  }
+
+  setMode(mode) {
+    if (mode !== TurnMode.Sequential && mode !== TurnMode.Simultaneous)
+      FAILED(`Invalid turn mode '${mode}'`);
+
+    if (this.phase !== TurnPhase.Pending)
+      FAILED(`Turn mode can only be changed between turns`);
+
+    if (this.mode !== mode) {
+      this.mode = mode;
+      this.game.emit("turnModeChanged", mode);
+    }
+    return this;
+  }
+
+  setTimeLimit(ms) {
+    this.timeLimit = Math.max(Number(ms) || 0, 0);
+    return this;
+  }
+
+  /**
+   * Start the next turn - run the upkeep and let players act.
+   *
+   * Called automatically after the previous turn ended if `game.autoTurn` is
+   * true, otherwise the owner of the game (like a replay) is responsible for
+   * calling it. Does nothing if the game is over or no player can play.
+   */
+  startTurn() {
+    const game = this.game;
+
+    if (this.phase !== TurnPhase.Pending)
+      FAILED(`Turn ${game.turnIndex} has already started`);
+
+    this.$cancelPending();
+    if (game.isGameOver())
+      return this;
+
+    game.diplomacy.update();
+
+    this.$seekPlayer();
+
+    const players = this.$getPlayersToPlay();
+    if (!players.length)
+      return this;
+
+    const phasePlayer = this.mode === TurnMode.Sequential ? players[0] : null;
+    var i;
+
+    this.playing = players.map(function(player) { return player.slot; });
+    this.ended = [];
+
+    this.phase = TurnPhase.Start;
+    game.emit("phase", TurnPhase.Start, phasePlayer);
+
+    for (i = 0; i < players.length; i++) {
+      const player = players[i];
+      game._processWork(player);
+      game._processCities(player);
+      game._restoreMoves(player);
+    }
+
+    this.phase = TurnPhase.Actions;
+    game.emit("phase", TurnPhase.Actions, phasePlayer);
+
+    for (i = 0; i < players.length; i++)
+      game.emit("turnStart", players[i]);
+
+    if (game.autoTurn && this.timeLimit > 0)
+      this.$timerId = setTimeout(TurnManager.$onTimeoutStatic, this.timeLimit, this);
+
+    this.$runAI();
+    return this;
+  }
+
+  /**
+   * End the turn of `player`, see "EndTurn" command.
+   */
+  endTurn(player) {
+    const game = this.game;
+
+    if (!this.canAct(player))
+      FAILED(`Player '${player.slot}' doesn't play the current turn`);
+
+    this.ended.push(player.slot);
+    game.emit("turnEnd", player);
+
+    // Players that were destroyed during the turn won't end it.
+    const players = game.players;
+    for (var i = 0; i < this.playing.length; i++) {
+      const other = players[this.playing[i]];
+      if (this.ended.indexOf(other.slot) === -1 && other.isAlive())
+        return this;
+    }
 
-        x = x1;
-        y = y1;
-        i = 0;
-      }
-      else if (++i >= iEnd) {
-        if (stack.length === 0)
-          break;
+    this.$cancelTimer();
+    this.phase = TurnPhase.End;
+    game.emit("phase", TurnPhase.End, this.mode === TurnMode.Sequential ? player : null);
 
-        i = stack.pop();
-        y = stack.pop();
-        x = stack.pop();
+    if (this.mode === TurnMode.Sequential) {
+      if (++game.turnPlayerSlot >= players.length) {
+        game.turnPlayerSlot = 0;
+        game.turnIndex++;
       }
+      this.$seekPlayer();
+    }
+    else {
+      game.turnIndex++;
     }
 
-    out.size = size;
-    return out;
+    this.playing = [];
+    this.ended = [];
+    this.phase = TurnPhase.Pending;
+
+    if (game._checkGameOver() === null && game.autoTurn)
+      this.$schedulePending();
+    return this;
   }
 
-  _iterateContinent(x, y, id, stack) {
-    const w = this.w;
-    const h = this.h;
-    const tiles = this.tiles;
+  /**
+   * Continue a turn that was interrupted - start it if it's pending or let
+   * AI act if it controls a player that can act (like when a human player
+   * was replaced by AI during the turn).
+   */
+  resume() {
+    if (this.phase === TurnPhase.Pending)
+      this.$schedulePending();
+    else if (this.phase === TurnPhase.Actions)
+      this.$runAI();
+    return this;
+  }
 
-    const coords = [];
-    const out = {
-      id: id,
-      size: 0,
-      coords: coords
-    };
+  /**
+   * Cancel all timers, must be called before the game is thrown away.
+   */
+  stop() {
+    this.$cancelPending();
+    this.$cancelTimer();
+    return this;
+  }
 
-    var i = 0;
-    var iEnd = Neighbors.length;
-    var size = 1;
+  // Moves `game.turnPlayerSlot` to the nearest player that can play (sequential).
+  $seekPlayer() {
+    const game = this.game;
+    const players = game.players;
 
-    // The first tile is done outside the loop.
-    var center = tiles[y * w + x];
+    if (this.mode !== TurnMode.Sequential || !players.some(function(player) { return player !== null && player.isAlive(); }))
+      return;
 
-    coords.push(x, y);
-    center.continentId = id;
+    for (var n = 0; n < players.length; n++) {
+      const player = players[game.turnPlayerSlot];
+      if (player && player.isAlive())
+        return;
 
-    for (;;) {
-      const x1 = this.normX(x + Neighbors[i].x, w);
-      const y1 = this.normY(y + Neighbors[i].y, h);
-      const tile = tiles[y1 * w + x1];
+      if (++game.turnPlayerSlot >= players.length) {
+        game.turnPlayerSlot = 0;
+        game.turnIndex++;
+      }
+    }
+  }
 
-      if (tile.continentId === -1 && tile.id !== TerrainType.Ocean) {
-        coords.push(x1, y1);
-        tile.continentId = id;
-        size++;
+  $getPlayersToPlay() {
+    const players = this.game.players;
 
-        if (++i !== iEnd)
-          stack.push(x, y, i);
+    if (this.mode === TurnMode.Sequential) {
+      const player = players[this.game.turnPlayerSlot];
+      return player && player.isAlive() ? [player] : [];
+    }
 
-        x = x1;
-        y = y1;
-        i = 0;
-      }
-      else if (++i >= iEnd) {
-        if (stack.length === 0)
-          break;
+    return players.filter(function(player) { return player !== null && player.isAlive(); });
+  }
 
-        i = stack.pop();
-        y = stack.pop();
-        x = stack.pop();
-      }
+  $runAI() {
+    const players = this.game.players;
+    const playing = this.playing.slice();
+
+    for (var i = 0; i < playing.length; i++) {
+      const player = players[playing[i]];
+      if (player.ai && this.canAct(player))
+        player.ai.onTurn();
     }
+  }
 
-    out.size = size;
-    return out;
+  $schedulePending() {
+    if (this.$pendingId === null)
+      this.$pendingId = setTimeout(TurnManager.$onPendingStatic, 0, this);
   }
 
-  getTile(x, y) {
-    const w = this.w;
-    const h = this.h;
+  $cancelPending() {
+    if (this.$pendingId !== null) {
+      clearTimeout(this.$pendingId);
+      this.$pendingId = null;
+    }
+  }
 
-    // DEBUG:@{
-    if (x < 0 || y < 0 || x >= this.w || y >= this.h)
-      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
-    // DEBUG:@}
+  $cancelTimer() {
+    if (this.$timerId !== null) {
+      clearTimeout(this.$timerId);
+      this.$timerId = null;
+    }
+  }
 
-    return this.tiles[y * this.w + x];
+  static $onPendingStatic(self) {
+    self.$pendingId = null;
+    if (self.phase === TurnPhase.Pending)
+      self.startTurn();
   }
 
-  getTileSafe(x, y) {
-    const w = this.w;
-    const h = this.h;
+  static $onTimeoutStatic(self) {
+    const game = self.game;
+    const playing = self.playing.slice();
 
-    if (x < 0 || x >= this.w) x = this.normX(x);
-    if (y < 0 || y >= this.h) y = this.normY(y);
+    self.$timerId = null;
+    for (var i = 0; i < playing.length; i++) {
+      const player = game.players[playing[i]];
+      if (!self.canAct(player))
+        continue;
 
-    return this.tiles[y * this.w + x];
+      game.emit("turnTimeout", player);
+      game.execute({ type: "EndTurn", player: player.slot });
+    }
   }
+}
+webciv.TurnManager = TurnManager;
 
-  setTileId(x, y, id) {
-    // DEBUG:@{
-    if (x < 0 || y < 0 || x >= this.w || y >= this.h)
-      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
-    // DEBUG:@}
+// ============================================================================
+// [StartPlacement]
+// ============================================================================
 
-    const tile = this.tiles[y * this.w + x];
-    if (tile.id === id) return;
+/**
+ * Places start locations of players.
+ *
+ * Each land tile where a city can be founded is a candidate site scored by
+ * yields of tiles the city would work (see `Game.calcTile()` and `Brush.City`),
+ * resources, and access to a river and the coast. Sites are picked from the
+ * best, keeping them apart and spreading players over continents so each of
+ * them has a fair share of land.
+ *
+ * Options:
+ *   - `minDistance` - Preferred minimum distance between locations (8), it's
+ *     lowered down to 3 if the map cannot fit all players otherwise.
+ *   - `normalize` - Add resources around locations poorer than the richest
+ *     one, see `normalizeResources()` (false).
+ *   - `continentPerPlayer` - Prefer continents without players, so each player
+ *     gets its own if the map has enough of them (defaults to the option the
+ *     map was generated with, see `Game.mapInfo`).
+ */
+class StartPlacement {
+  constructor(game, info) {
+    this.game = game;                      // Game where players are placed.
+    this.map = game.map;                   // Game map.
 
-    const defs = this.game.defs;
+    const mapInfo = game.mapInfo || NoObject;
 
-    // DEBUG:@{
-    if (id >= defs.terrains.length)
-      FAILED(`"Tile id '${id}' out of bounds`);
-    // DEBUG:@}
+    this.minDistance = Math.max(Math.floor(info.minDistance) || 8, 3);
+    this.normalize = Boolean(info.normalize);
+    this.continentPerPlayer = Boolean(info.continentPerPlayer != null ? info.continentPerPlayer : mapInfo.continentPerPlayer);
+  }
 
-    tile.id = id;
-    tile.category = defs.terrains[id].category;
+  /**
+   * Find `count` start locations `{ x, y }`, the best first.
+   *
+   * Throws `GameError` if the map doesn't have room for all players.
+   */
+  findLocations(count) {
+    const sites = this.collectSites();
+    var found = 0;
+
+    for (var distance = this.minDistance; distance >= 3; distance--) {
+      const locations = this.$pick(sites, count, distance);
+      if (locations.length >= count)
+        return locations;
+      found = Math.max(found, locations.length);
+    }
 
-    if (this.supressNotifications === 0)
-      this.game.invalidateTile(x, y);
+    FAILED(`The map doesn't have room for ${count} players, only ${found} start locations found`);
   }
 
-  setTileModifiers(x, y, modifiers) {
-    const w = this.w;
-    const h = this.h;
+  /**
+   * Get all sites where a city can be founded `{ x, y, continentId, score }`,
+   * sorted by score (the best first).
+   */
+  collectSites() {
+    const game = this.game;
+    const map = this.map;
+    const tiles = map.tiles;
 
-    // DEBUG:@{
-    if (x < 0 || y < 0 || x >= w || y >= h)
-      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
-    // DEBUG:@}
+    const yields = { food: 0, production: 0, commerce: 0, defense: 0 };
+    const sites = [];
 
-    const tile = this.tiles[y * w + x];
-    if (tile.modifiers === modifiers) return;
+    for (var i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (tile.category !== TerrainCategory.Land || tile.preventCity > 0)
+        continue;
 
-    tile.modifiers = modifiers;
+      // The city cannot grow on a tile that has no food.
+      game.calcTile(yields, tile);
+      if (yields.food === 0)
+        continue;
 
-    if (this.supressNotifications === 0)
-      this.game.invalidateTile(x, y);
+      // Random part only breaks ties.
+      const score = this.scoreSite(tile.x, tile.y) + game.random.drand();
+      sites.push({ x: tile.x, y: tile.y, continentId: tile.continentId, score: score });
+    }
+
+    sites.sort(function(a, b) { return b.score - a.score; });
+    return sites;
   }
 
-  setTileIdAndModifiers(x, y, id, modifiers) {
-    const w = this.w;
-    const h = this.h;
+  /**
+   * Score a site at [x, y] - yields of tiles the city would work, resources,
+   * and access to a river and the coast.
+   */
+  scoreSite(x, y) {
+    const game = this.game;
+    const map = this.map;
+    const yields = { food: 0, production: 0, commerce: 0, defense: 0 };
 
-    // DEBUG:@{
-    if (x < 0 || y < 0 || x >= w || y >= h)
-      FAILED(`"Coordinate [${x}, ${y}] out of bounds`);
-    // DEBUG:@}
+    var score = 0;
+    var coast = false;
+    var i;
 
-    const tile = this.tiles[y * w + x];
-    if (tile.id === id && tile.modifiers === modifiers) return;
+    for (i = 0; i < Brush.City.length; i++) {
+      const tile = this.$getTile(x + Brush.City[i].x, y + Brush.City[i].y);
+      if (tile === null)
+        continue;
 
-    const defs = this.game.defs;
+      game.calcTile(yields, tile);
+      score += yields.food * 3 + yields.production * 2 + yields.commerce;
 
-    tile.id = id;
-    tile.category = defs.terrains[id].category;
-    tile.modifiers = modifiers;
+      if (tile.resource !== -1)
+        score += 4;
+    }
 
-    if (this.supressNotifications === 0)
-      this.game.invalidateTile(x, y);
-  }
+    for (i = 0; i < Neighbors.length && !coast; i++) {
+      const tile = this.$getTile(x + Neighbors[i].x, y + Neighbors[i].y);
+      coast = tile !== null && tile.category === TerrainCategory.Ocean;
+    }
 
-  // Invalidation means that the map-tile itself changed. This means that either
-  //   - Terrain id changed
-  //   - Terrain modifiers changed (like roads, irrigation, river)
-  //   - Terrain territory information changed
-  // 
-  // Renderers may react to a tile-change differently. In most cases one tile
-  // change means to invalidate also all neighboring tiles as the renderer
-  // needs to recalculate them as well (becuase of rendering transitions and
-  // connections like roads and rivers).
-  invalidateTile(x, y) {
-    if (this.supressNotifications === 0)
-      this.game.invalidateTile(x, y);
-  }
+    if (coast)
+      score += 4;
 
-  invalidateRect(x, y, w, h) {
-    if (this.supressNotifications === 0)
-      this.game.invalidateRect(x, y, w, h);
-  }
+    if (map.getTile(x, y).modifiers & TerrainModifier.kRiver)
+      score += 6;
 
-  invalidateAll() {
-    if (this.supressNotifications === 0)
-      this.game.invalidateAll();
+    return score;
   }
 
-  assignUnit(unit) {
-    const tile = this.tiles[unit.y * this.w + unit.x];
+  /**
+   * Add resources around `locations` so each has as many resources within
+   * `Brush.City` as the richest one. Resources are only added to tiles, which
+   * can have them and don't have a river (like `Game.generateResources()`).
+   */
+  normalizeResources(locations) {
+    const game = this.game;
+    const terrains = game.defs.terrains;
 
-    var cur = tile.units;
-    if (cur === null) {
-      tile.units = unit;
+    const counts = [];
+    var target = 0;
+    var i, j;
+
+    for (i = 0; i < locations.length; i++) {
+      const tiles = this.$getCityTiles(locations[i]);
+
+      var n = 0;
+      for (j = 0; j < tiles.length; j++)
+        n += Number(tiles[j].resource !== -1);
+
+      counts.push(n);
+      target = Math.max(target, n);
     }
-    else {
-      while (cur.next !== null)
-        cur = cur.next;
-      cur.next = unit;
+
+    for (i = 0; i < locations.length; i++) {
+      const candidates = this.$getCityTiles(locations[i]).filter(function(tile) {
+        return tile.resource === -1 && !(tile.modifiers & TerrainModifier.kRiver) && terrains[tile.id].resources.length > 0;
+      });
+
+      for (var n = counts[i]; n < target && candidates.length; n++) {
+        const tile = candidates.splice(game.random.irand(candidates.length), 1)[0];
+        const resources = terrains[tile.id].resources;
+        tile.resource = resources[game.random.irand(resources.length)].id;
+      }
     }
   }
 
-  removeUnit(unit) {
-    const tile = this.tiles[unit.y * this.w + unit.x];
+  // Greedily pick up to `count` sites that are at least `distance` apart. The
+  // score of a site is lowered on continents already crowded by players. With
+  // `continentPerPlayer` sites on free continents large enough for a city are
+  // always preferred.
+  $pick(sites, count, distance) {
+    const map = this.map;
+    const continents = map.continents;
 
-    var cur = tile.units;
-    var prev = null;
+    const players = new Int32Array(continents.length);
+    const result = [];
 
-    for (;;) {
-      if (cur === null)
-        FAILED(`Unit '${unit.slot}' not found at [${unit.x}, ${unit.y}]`);
+    var landMass = 0;
+    for (var i = 0; i < continents.length; i++)
+      landMass += continents[i].size;
 
-      if (cur === unit) {
-        if (!prev)
-          tile.units = cur.next;
-        else
-          prev.next = cur.next;
-        cur.next = null;
-        break;
-      }
+    // Land each player should have for itself.
+    const fairShare = Math.max(Math.min(landMass / count, 80), 1);
+    const distanceSq = distance * distance;
 
-      prev = cur;
-      cur = cur.next;
-    }
-  }
+    const minSize = Brush.City.length;
 
-  moveUnit(unit, dstX, dstY) {
-    const x = this.normX(dstX);
-    const y = this.normY(dstY);
+    while (result.length < count) {
+      var best = null;
+      var bestScore = -Infinity;
+      var bestFree = false;
 
-    if (unit.x === x && unit.y === y)
-      return;
+      for (var i = 0; i < sites.length; i++) {
+        const site = sites[i];
+        const continent = continents[site.continentId];
 
-    this.removeUnit(unit);
+        const free = this.continentPerPlayer && players[site.continentId] === 0 && continent.size >= minSize;
+        if (bestFree && !free)
+          continue;
 
-    unit.x = x;
-    unit.y = y;
+        const share = continent.size / (players[site.continentId] + 1);
+        const score = site.score * Math.min(share / fairShare, 1);
 
-    this.assignUnit(unit);
-    unit.player.uncoverRect(unit.x - 1, unit.y - 1, 3, 3);
+        if ((score <= bestScore && free === bestFree) || !this.$isFarEnough(result, site, distanceSq))
+          continue;
+
+        best = site;
+        bestScore = score;
+        bestFree = free;
+      }
+
+      if (best === null)
+        break;
+
+      players[best.continentId]++;
+      result.push({ x: best.x, y: best.y });
+    }
+
+    return result;
   }
 
-  assignCity(city) {
-    const tile = this.tiles[city.y * this.w + city.x];
+  $isFarEnough(locations, site, distanceSq) {
+    const map = this.map;
+
+    for (var i = 0; i < locations.length; i++) {
+      const dx = map.flipX ? GameUtils.distance(site.x, locations[i].x, map.w) : site.x - locations[i].x;
+      const dy = map.flipY ? GameUtils.distance(site.y, locations[i].y, map.h) : site.y - locations[i].y;
+      if (dx * dx + dy * dy < distanceSq)
+        return false;
+    }
+
+    return true;
+  }
 
-    tile.city = city;
-    tile.workedBy = city;
+  // Get tiles around `location` within `Brush.City`.
+  $getCityTiles(location) {
+    const tiles = [];
+    for (var i = 0; i < Brush.City.length; i++) {
+      const tile = this.$getTile(location.x + Brush.City[i].x, location.y + Brush.City[i].y);
+      if (tile !== null)
+        tiles.push(tile);
+    }
+    return tiles;
   }
 
-  removeCity(city) {
-    const tile = this.tiles[city.y * this.w + city.x];
+  // Get tile at [x, y], or null if it's outside of a map that doesn't wrap.
+  $getTile(x, y) {
+    const map = this.map;
+    const nx = map.normX(x);
+    const ny = map.normY(y);
 
-    tile.city = null;
-    tile.workedBy = null;
+    if ((nx !== x && !map.flipX) || (ny !== y && !map.flipY))
+      return null;
+    return map.getTile(nx, ny);
   }
 }
-webciv.GameMap = GameMap;
+webciv.StartPlacement = StartPlacement;
 
 // ============================================================================
 // [Game]
@@ -1947,16 +5936,29 @@ class Game extends Observable {
     this.rules = null;                   // Game rules.
 
     this.map = new GameMap(this);        // Game map.
+    this.mapInfo = null;                 // Options the map was generated with, see `generateMap()`.
 
     this.turnIndex = 0;                  // Game turn (zero indexed).
     this.turnPlayerSlot = 0;             // Currently playing player.
-    this._turnPendingId = null;           //
+    this.autoTurn = true;                // Start the next turn automatically, see `TurnManager`.
+    this.turns = new TurnManager(this);  // Turn manager.
+    this.diplomacy = new Diplomacy(this);// Diplomacy between players.
+
+    this.victory = {                     // Victory conditions, see `setVictory()`.
+      conquest  : true,
+      turnLimit : 0,
+      technology: -1,
+      custom    : null
+    };
+    this.result = null;                  // Result of the game once it's over.
 
     this.players = [];                   // Game players.
     this.units = [];                     // Game units.
     this.cities = [];                    // Game cities.
     this.citiesByName = new Map();       // Maps city names to city objects.
+    this.objectsByUUID = new Map();      // Maps UUIDs to units and cities.
     this.random = new Random();          // Random number generator.
+    this.work = new Map();               // Terrain work in progress, see `_processWork()`.
 
     this.uuidGenerator = 0;              // UUID generator.
     this.unnamedCityGenerator = 0;       // Unnamed city generator.
@@ -1965,8 +5967,266 @@ class Game extends Observable {
     this.renderer = null;                // Game renderer.
 
     this.rules = this.createRules();
+    this.pathfinder = new Pathfinder(this);
+  }
+
+  /**
+   * Serialize the whole game state into a JSON compatible object.
+   *
+   * The returned document is stamped by the save-format version and by the
+   * name and version of `GameDefs` used, see `Game.deserialize()`.
+   *
+   * If `options.binaryMap` is true the map is stored as a base64 string in
+   * a compact binary format, see `webciv.mapcodec`.
+   */
+  serialize(options) {
+    const defs = this.defs;
+    const binaryMap = options ? Boolean(options.binaryMap) : false;
+
+    if (binaryMap && !webciv.mapcodec)
+      FAILED(`Binary map requested, but 'webciv.mapcodec' is not available`);
+
+    function serializeSlot(obj) { return obj ? obj.serialize() : null; }
+
+    return {
+      format              : SaveFormat.Name,
+      version             : SaveFormat.Version,
+      defs                : { name: defs.name, version: defs.version },
+
+      turnIndex           : this.turnIndex,
+      turnPlayerSlot      : this.turnPlayerSlot,
+      turns               : this.turns.serialize(),
+      victory             : { conquest: this.victory.conquest, turnLimit: this.victory.turnLimit, technology: this.victory.technology },
+      result              : this.result ? GameUtils.cloneDeep(this.result) : null,
+      diplomacy           : this.diplomacy.serialize(),
+      uuidGenerator       : this.uuidGenerator,
+      unnamedCityGenerator: this.unnamedCityGenerator,
+      random              : this.random.serialize(),
+
+      map                 : binaryMap ? { binary: webciv.mapcodec.encodeBase64(this.map) } : this.map.serialize(),
+      players             : this.players.map(serializeSlot),
+      units               : this.units.map(serializeSlot),
+      cities              : this.cities.map(serializeSlot),
+      work                : Array.from(this.work.values(), function(work) { return Object.assign({}, work); })
+    };
+  }
+
+  /**
+   * Calculate a hash of the game state, used to detect desynchronization.
+   *
+   * Only the state of the game is hashed, controllers (AI) and timers are not.
+   */
+  hash() {
+    const data = this.serialize();
+    for (var i = 0; i < data.players.length; i++)
+      if (data.players[i]) data.players[i].ai = null;
+    data.turns.timeLimit = 0;
+
+    // 32-bit FNV-1a.
+    const s = JSON.stringify(data);
+    var h = 0x811C9DC5;
+
+    for (var j = 0; j < s.length; j++) {
+      h ^= s.charCodeAt(j);
+      h = Math.imul(h, 0x01000193);
+    }
+
+    return h >>> 0;
+  }
+
+  /**
+   * Create a new `Game` from `data` previously returned by `Game.serialize()`.
+   *
+   * Throws `GameError` if the save is malformed or if it was created with
+   * definitions different than `defs`.
+   */
+  static deserialize(defs, data) {
+    if (data === null || typeof data !== "object")
+      FAILED("The 'data' argument must be an object");
+
+    if (data.format !== SaveFormat.Name)
+      FAILED(`Save format '${data.format}' not recognized`);
+
+    if (data.version !== SaveFormat.Version)
+      FAILED(`Save version '${data.version}' not supported, expected '${SaveFormat.Version}'`);
+
+    const saveDefs = data.defs || NoObject;
+    if (saveDefs.name !== defs.name || saveDefs.version !== defs.version)
+      FAILED(`Save was created with definitions '${saveDefs.name}' (${saveDefs.version}), which are incompatible with '${defs.name}' (${defs.version})`);
+
+    const game = new Game(defs);
+    const map = game.map;
+
+    if (!isArray(data.players) || !isArray(data.units) || !isArray(data.cities))
+      FAILED(`Save doesn't contain players, units, or cities`);
+
+    game.turnIndex = data.turnIndex || 0;
+    game.turnPlayerSlot = data.turnPlayerSlot || 0;
+    game.uuidGenerator = data.uuidGenerator || 0;
+    game.unnamedCityGenerator = data.unnamedCityGenerator || 0;
+    game.random.deserialize(data.random);
+
+    var mapData = data.map;
+    if (mapData && typeof mapData.binary === "string") {
+      if (!webciv.mapcodec)
+        FAILED(`Save contains a binary map, but 'webciv.mapcodec' is not available`);
+      mapData = webciv.mapcodec.decodeBase64(mapData.binary);
+    }
+
+    map.deserialize(mapData || NoObject);
+    map.supressNotifications++;
+
+    var i, j;
+
+    for (i = 0; i < data.players.length; i++) {
+      const src = data.players[i];
+      game.players.push(src ? GamePlayer.deserialize(game, i, src) : null);
+    }
+
+    game.turns.deserialize(data.turns || NoObject);
+    game.diplomacy.deserialize(data.diplomacy || NoObject);
+
+    if (data.victory)
+      game.setVictory(data.victory);
+    game.result = data.result ? GameUtils.cloneDeep(data.result) : null;
+
+    // Units are attached to tiles in their original stacking order.
+    const stacked = [];
+    for (i = 0; i < data.units.length; i++) {
+      const src = data.units[i];
+      const unit = src ? GameUnit.deserialize(game, i, src) : null;
+
+      game.units.push(unit);
+      if (unit) {
+        if (game.objectsByUUID.has(unit.uuid))
+          FAILED(`Save contains duplicate UUID '${unit.uuid}'`);
+
+        game.objectsByUUID.set(unit.uuid, unit);
+        stacked.push({ unit: unit, index: unit.y * map.w + unit.x, stack: src.stack || 0 });
+      }
+    }
+
+    stacked.sort(function(a, b) { return a.index - b.index || a.stack - b.stack; });
+    for (i = 0; i < stacked.length; i++)
+      map.assignUnit(stacked[i].unit);
+
+    for (i = 0; i < data.cities.length; i++) {
+      const src = data.cities[i];
+      const city = src ? GameCity.deserialize(game, i, src) : null;
+
+      game.cities.push(city);
+      if (city) {
+        if (game.citiesByName.has(city.name))
+          FAILED(`Save contains duplicate city name '${city.name}'`);
+
+        if (game.objectsByUUID.has(city.uuid))
+          FAILED(`Save contains duplicate UUID '${city.uuid}'`);
+
+        game.citiesByName.set(city.name, city);
+        game.objectsByUUID.set(city.uuid, city);
+        map.assignCity(city);
+      }
+    }
+
+    for (i = 0; i < game.cities.length; i++) {
+      const city = game.cities[i];
+      if (!city) continue;
+
+      const working = city.workingTiles;
+      for (j = 0; j < working.length; j++) {
+        const tile = map.getTile(working[j].x, working[j].y);
+        if (tile.workedBy !== null)
+          FAILED(`Save contains tile [${tile.x}, ${tile.y}] worked by more than one city`);
+        tile.workedBy = city;
+      }
+    }
 
-    this.onTurn = this._onTurn.bind(this);
+    // Restore the order of units and cities of each player (AI iterates them).
+    for (i = 0; i < game.players.length; i++) {
+      const player = game.players[i];
+      if (!player) continue;
+
+      const src = data.players[i];
+      const unitSlots = isArray(src.units) ? src.units : NoArray;
+      const citySlots = isArray(src.cities) ? src.cities : NoArray;
+
+      for (j = 0; j < unitSlots.length; j++) {
+        const unit = game.units[unitSlots[j]];
+        if (!unit || unit.player !== player)
+          FAILED(`Save of player #${i} references unit #${unitSlots[j]}, which it doesn't own`);
+        player._assignUnit(unit);
+      }
+
+      for (j = 0; j < citySlots.length; j++) {
+        const city = game.cities[citySlots[j]];
+        if (!city || city.player !== player)
+          FAILED(`Save of player #${i} references city #${citySlots[j]}, which it doesn't own`);
+        player._assignCity(city);
+      }
+    }
+
+    var numOwned = 0;
+    for (i = 0; i < game.players.length; i++)
+      if (game.players[i]) numOwned += game.players[i].units.length;
+
+    if (numOwned !== stacked.length)
+      FAILED(`Save contains units not owned by any player`);
+
+    for (i = 0; i < game.players.length; i++)
+      if (game.players[i]) game.players[i].updateVisibility();
+
+    const work = isArray(data.work) ? data.work : NoArray;
+    for (i = 0; i < work.length; i++) {
+      const w = work[i];
+      if (!w || !Number.isInteger(w.x) || !Number.isInteger(w.y) || w.x < 0 || w.y < 0 || w.x >= map.w || w.y >= map.h)
+        FAILED(`Save contains terrain work on an invalid tile`);
+
+      const modifier = SAVE_ID(defs.modifiers, w.modifier);
+      game.work.set(game.$workKey(w.x, w.y, modifier), { x: w.x, y: w.y, modifier: modifier, progress: w.progress || 0 });
+    }
+
+    map.supressNotifications--;
+    game.invalidateAll();
+
+    return game;
+  }
+
+  /**
+   * Execute a command, see `GameCommand`.
+   *
+   * Validates the command, applies it, and emits both the command's event and
+   * a generic "command" event. Returns the result, which always contains `ok`
+   * and `error` properties, and command specific properties if it succeeded.
+   * Invalid commands don't throw, they are rejected by returning `ok: false`.
+   */
+  execute(data) {
+    const type = data && typeof data === "object" ? data.type : undefined;
+    const Command = typeof type === "string" ? commands[type] : undefined;
+
+    if (typeof Command !== "function")
+      return { type: type, ok: false, error: `Unknown command '${type}'` };
+
+    const command = new Command(this, data);
+    const error = command.validate();
+
+    if (error)
+      return { type: type, ok: false, error: error };
+
+    const result = Object.assign({ type: type, ok: true, error: "" }, command.apply());
+
+    this.emit(Command.event, data, result);
+    this.emit("command", data, result);
+    return result;
+  }
+
+  getUnit(uuid) {
+    const obj = this.objectsByUUID.get(uuid);
+    return obj instanceof GameUnit ? obj : null;
+  }
+
+  getCity(uuid) {
+    const obj = this.objectsByUUID.get(uuid);
+    return obj instanceof GameCity ? obj : null;
   }
 
   createRules() {
@@ -1985,10 +6245,27 @@ class Game extends Observable {
 
   createMap(w, h) {
     this.map.resize(w, h, TerrainType.Ocean);
+    this.work.clear();
     this.invalidateAll();
+    this.emit("mapCreated", w, h);
   }
 
+  /**
+   * Generate the map by a generator from `webciv.mapgen.generators` named by
+   * `info.generator`, or by a map style named by `info.preset`, see
+   * `webciv.mapgen.presets`.
+   */
   generateMap(info) {
+    if (info.preset != null) {
+      const preset = webciv.mapgen.presets[info.preset];
+      if (!preset)
+        FAILED(`Unknown 'preset' name '${info.preset}'`);
+
+      // The recorded setup must not depend on the preset, which can change.
+      info = Object.assign({}, preset, info);
+      delete info.preset;
+    }
+
     const Class = webciv.mapgen.generators[info.generator];
     if (typeof Class !== "function")
       FAILED(`Unknown 'generator' name '${info.generator}'`);
@@ -1998,6 +6275,10 @@ class Game extends Observable {
 
     this.map.recalc();
     this.invalidateAll();
+
+    // Report the seed actually used so the map can be generated again.
+    this.mapInfo = Object.assign({}, info, { seed: mapgen.random.getSeed() });
+    this.emit("mapGenerated", this.mapInfo);
   }
 
   invalidateTile(x, y) {
@@ -2049,12 +6330,120 @@ class Game extends Observable {
       defense += rules["RiverDefenseBonus"];
     }
 
+    // Irrigation, mines, etc...
+    const modifierDefs = defs.modifiers;
+    for (var i = 0; i < modifierDefs.length; i++) {
+      const modifierInfo = modifierDefs[i];
+      if (modifiers & modifierInfo.mask) {
+        food       += modifierInfo.food;
+        production += modifierInfo.production;
+        commerce   += modifierInfo.commerce;
+      }
+    }
+
     dst.food       = food;
     dst.production = production;
     dst.commerce   = commerce;    
     dst.defense    = defense;
   }
 
+  /**
+   * Get the work needed to build modifier `nameOrId` on a tile at [x, y],
+   * which is the modifier's `time` multiplied by the move cost of the terrain.
+   */
+  getImprovementCost(x, y, nameOrId) {
+    const defs = this.defs;
+    const modifier = defs.modifiers[defs.modifiers.byNameOrId(nameOrId)];
+    return modifier.time * defs.terrains[this.map.getTile(x, y).id].move;
+  }
+
+  /**
+   * Check whether `player` can build modifier `nameOrId` on a tile at [x, y].
+   *
+   * Returns an empty string if it can, otherwise a message that describes why
+   * it cannot (terrain, technologies and modifiers required, water, etc).
+   */
+  canImprove(player, x, y, nameOrId) {
+    const defs = this.defs;
+    const modifier = defs.modifiers[defs.modifiers.byNameOrId(nameOrId)];
+    const tile = this.map.getTile(x, y);
+
+    var i;
+
+    if (modifier.time === 0)
+      return `'${modifier.name}' cannot be built`;
+
+    if (tile.modifiers & modifier.mask)
+      return `Tile [${x}, ${y}] already has '${modifier.name}'`;
+
+    if (modifier.terrainIds.length ? modifier.terrainIds.indexOf(tile.id) === -1 : tile.category !== TerrainCategory.Land)
+      return `'${modifier.name}' cannot be built on ${defs.terrains[tile.id].name}`;
+
+    if (tile.territory !== -1 && tile.territory !== player.slot)
+      return `Tile [${x}, ${y}] is in a territory of another player`;
+
+    for (i = 0; i < modifier.prereqTechs.length; i++) {
+      const id = modifier.prereqTechs[i];
+      if (!player.hasTechnology(id))
+        return `'${modifier.name}' requires technology '${defs.technologies[id].name}'`;
+    }
+
+    for (i = 0; i < modifier.prereqModifiers.length; i++) {
+      const required = defs.modifiers[modifier.prereqModifiers[i]];
+      if (!(tile.modifiers & required.mask))
+        return `'${modifier.name}' requires '${required.name}' on the tile`;
+    }
+
+    if (modifier.hasFlag("Water") && !this.$hasWater(x, y))
+      return `'${modifier.name}' requires a river, ocean, or irrigation next to the tile`;
+
+    return "";
+  }
+
+  // Whether a tile at [x, y] has access to water - it has a river or is next
+  // to an ocean, river, irrigation, or a city.
+  $hasWater(x, y) {
+    const map = this.map;
+    const Water = TerrainModifier.kRiver | TerrainModifier.kIrrigation;
+
+    if (map.getTile(x, y).modifiers & TerrainModifier.kRiver)
+      return true;
+
+    const B = Brush.Sides;
+    for (var i = 0; i < B.length; i++) {
+      const nx = map.normX(x + B[i].x);
+      const ny = map.normY(y + B[i].y);
+
+      // Clipped coordinate.
+      if (nx === x && ny === y)
+        continue;
+
+      const tile = map.getTile(nx, ny);
+      if (tile.category === TerrainCategory.Ocean || (tile.modifiers & Water) !== 0 || tile.city !== null)
+        return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Add modifier `nameOrId` to a tile at [x, y]. Modifiers that have
+   * "Exclusive" flag replace each other.
+   */
+  improveTile(x, y, nameOrId) {
+    const defs = this.defs;
+    const modifier = defs.modifiers[defs.modifiers.byNameOrId(nameOrId)];
+
+    var modifiers = this.map.getTile(x, y).modifiers;
+    if (modifier.hasFlag("Exclusive")) {
+      for (var i = 0; i < defs.modifiers.length; i++)
+        if (defs.modifiers[i].hasFlag("Exclusive"))
+          modifiers &= ~defs.modifiers[i].mask;
+    }
+
+    this.map.setTileModifiers(x, y, modifiers | modifier.mask);
+  }
+
   generateResources(info) {
     const map = this.map;
     const terrains = this.defs.terrains;
@@ -2078,6 +6467,9 @@ class Game extends Observable {
             continue;
           if (category === TerrainCategory.Ocean && tile.deepness > 2)
             continue;
+          // Terrain that has no resources (hills, mountains, etc).
+          if (!terrains[tile.id].resources.length)
+            continue;
           tiles.push(tile);
         }
 
@@ -2112,10 +6504,22 @@ class Game extends Observable {
     }
 
     this.invalidateAll();
+    this.emit("resourcesGenerated", info);
   }
 
-  generatePlayers(count) {
-    const locations = this.generateRandomPlayerLocations(count);
+  /**
+   * Generate `count` players, see `StartPlacement` for `info` options.
+   */
+  generatePlayers(count, info) {
+    info = info || NoObject;
+
+    const placement = new StartPlacement(this, info);
+    const locations = placement.findLocations(count);
+
+    if (placement.normalize) {
+      placement.normalizeResources(locations);
+      this.invalidateAll();
+    }
 
     for (var i = 0; i < locations.length; i++) {
       // Find a civilization that has a possible colorType that matches `i`.
@@ -2176,139 +6580,461 @@ class Game extends Observable {
         y: locations[i].y
       });
 
-      const city = this.createCity({
-        player: player,
-        x: locations[i].x,
-        y: locations[i].y
-      });
+      const city = this.createCity({
+        player: player,
+        x: locations[i].x,
+        y: locations[i].y
+      });
+    }
+
+    this.emit("playersGenerated", count, info);
+  }
+
+  generateCityName(player) {
+    const defs = this.defs;
+
+    const civilization = defs.civilizations[player.civ];
+    const cityNames = civilization.cityNames;
+
+    for (var i = 0; i < cityNames.length; i++) {
+      const cityName = cityNames[i];
+      if (!this.citiesByName.has(cityName))
+        return cityName;
+    }
+
+    return `Unnamed #${++this.unnamedCityGenerator}`;
+  }
+
+  createPlayer(info) {
+    const slot = this.$findSlot(this.players);
+    const player = new GamePlayer(this, slot, info);
+
+    player.uuid = ++this.uuidGenerator;
+    player.$subscribe();
+
+    this.players[slot] = player;
+    return player;
+  }
+
+  destroyPlayer(player) {
+    const slot = player.slot;
+
+    player.$unsubscribe();
+    this.players[slot] = null;
+  }
+
+  createUnit(info) {
+    const slot = this.$findSlot(this.units);
+    const unit = new GameUnit(this, slot, info);
+    const player = unit.player;
+
+    unit.uuid = ++this.uuidGenerator;
+
+    this.units[slot] = unit;
+    this.objectsByUUID.set(unit.uuid, unit);
+    this.map.assignUnit(unit);
+
+    player._assignUnit(unit);
+    player.updateVisibility();
+    player.uncoverRect(unit.x - 3, unit.y - 3, 7, 7);
+    this.diplomacy.checkContact(player, unit.x, unit.y);
+
+    this.invalidateTile(unit.x, unit.y);
+    return unit;
+  }
+
+  destroyUnit(unit) {
+    const slot = unit.slot;
+
+    unit.player._removeUnit(unit);
+    this.map.removeUnit(unit);
+
+    this.units[slot] = null;
+    this.objectsByUUID.delete(unit.uuid);
+    unit.deleted = true;
+
+    unit.player.updateVisibility();
+    this.invalidateTile(unit.x, unit.y);
+  }
+
+  /**
+   * Get the sight radius of `unit`, land units see further from hills and
+   * mountains (see `TerrainData.sight`).
+   */
+  getSight(unit) {
+    const defs = this.defs;
+    const info = defs.units[unit.id];
+
+    if (info.domain !== UnitDomain.Land)
+      return info.sight;
+
+    return info.sight + defs.terrains[this.map.getTile(unit.x, unit.y).id].sight;
+  }
+
+  /**
+   * Get the cost of moving `unit` to an adjacent tile at [x, y] in move
+   * fragments (a move point has `MoveFragments` fragments).
+   *
+   * Land units pay the move cost of the destination terrain unless both tiles
+   * are connected by a railroad, road (cities have roads), or a river. Moving
+   * into a river tile from a tile without a river and without a road costs
+   * `RiverCrossingCost` fragments extra. Sea and air units always pay one
+   * move point.
+   */
+  getMoveCost(unit, x, y) {
+    const map = this.map;
+    const domain = this.defs.units[unit.id].domain;
+
+    return this.$moveCost(domain, map.getTile(unit.x, unit.y), map.getTile(x, y));
+  }
+
+  // Move cost between two adjacent tiles, also used by `Pathfinder`.
+  $moveCost(domain, src, dst) {
+    const defs = this.defs;
+    const rules = this.rules;
+    const fragments = rules["MoveFragments"];
+
+    if (domain !== UnitDomain.Land)
+      return fragments;
+
+    const srcModifiers = src.modifiers | (src.city !== null ? TerrainModifier.kRoad : 0);
+    const dstModifiers = dst.modifiers | (dst.city !== null ? TerrainModifier.kRoad : 0);
+    const common = srcModifiers & dstModifiers;
+
+    if (common & TerrainModifier.kRailroad)
+      return rules["RailroadMoveCost"];
+
+    if (common & (TerrainModifier.kRoad | TerrainModifier.kRailroad))
+      return rules["RoadMoveCost"];
+
+    if (common & TerrainModifier.kRiver)
+      return rules["RiverMoveCost"];
+
+    var cost = defs.terrains[dst.id].move * fragments;
+    if (dstModifiers & TerrainModifier.kRiver)
+      cost += rules["RiverCrossingCost"];
+    return cost;
+  }
+
+  /**
+   * Check whether `unit` can move to an adjacent tile at [x, y].
+   *
+   * Returns an empty string if the move is possible, otherwise a message that
+   * describes why it's not.
+   */
+  canMove(unit, x, y) {
+    const map = this.map;
+
+    if (x < 0 || y < 0 || x >= map.w || y >= map.h)
+      return `Tile [${x}, ${y}] is outside of the map`;
+
+    if (unit.x === x && unit.y === y)
+      return `Unit is already at [${x}, ${y}]`;
+
+    const dx = map.flipX ? GameUtils.distance(unit.x, x, map.w) : Math.abs(unit.x - x);
+    const dy = map.flipY ? GameUtils.distance(unit.y, y, map.h) : Math.abs(unit.y - y);
+
+    if (dx > 1 || dy > 1)
+      return `Tile [${x}, ${y}] is not adjacent to the unit`;
+
+    if (unit.moves <= 0)
+      return `Unit has no moves left`;
+
+    const tile = map.getTile(x, y);
+    const info = this.defs.units[unit.id];
+    const domain = info.domain;
+
+    // Moving into a tile occupied by enemy units is an attack.
+    if (tile.units !== null && unit.player.isEnemy(tile.units.player)) {
+      if (info.attack <= 0)
+        return `Unit cannot attack`;
+
+      if (domain === UnitDomain.Land && tile.category !== TerrainCategory.Land)
+        return `Unit cannot attack units at [${x}, ${y}], which is not land`;
+
+      return "";
     }
-  }
 
-  generateRandomPlayerLocations(count) {
-    const map = this.map;
-    const continents = map.continents;
+    if (domain === UnitDomain.Land && tile.category !== TerrainCategory.Land)
+      return `Tile [${x}, ${y}] is not land`;
 
-    if (continents.length === 0)
-      FAILED(`The map doesn't contain any continent`);
+    if (domain === UnitDomain.Sea && tile.category !== TerrainCategory.Ocean && !(tile.city && tile.city.player === unit.player))
+      return `Tile [${x}, ${y}] is neither ocean nor an own city`;
 
-    const numTries = 255;                // Number of tries to get some locations.
+    // Only land units can capture an undefended enemy city.
+    if (tile.city !== null && tile.city.player !== unit.player && !(domain === UnitDomain.Land && unit.player.isEnemy(tile.city.player)))
+      return `Tile [${x}, ${y}] is occupied by a city of another player`;
 
-    const minOverseaDistance = 6;        // Minimum distance between locations over sea.
-    const minContinentDistance = 12;     // Minimum distance between locations on the same continent.
-    const minContinentSize = 50;         // Skip the continent if possible, it's smaller than this.
+    if (tile.units !== null && tile.units.player !== unit.player)
+      return `Tile [${x}, ${y}] is occupied by units of another player`;
 
-    const minOverseaDistanceSq = Math.pow(minOverseaDistance, 2);
-    const minContinentDistanceSq = Math.pow(minContinentDistance, 2);
+    // A land unit cannot move from a tile in enemy zone of control to another
+    // tile in enemy zone of control, unless the tile has own units or city.
+    if (domain === UnitDomain.Land && tile.units === null && tile.city === null &&
+        this.isZoneOfControl(unit.player, unit.x, unit.y, false) &&
+        this.isZoneOfControl(unit.player, x, y, false))
+      return `Tile [${x}, ${y}] cannot be entered, both tiles are in enemy zone of control`;
 
-    var continentId = 0;                 // Start from the largest continent.
-    var result = [];
+    return "";
+  }
 
-    function isGoodDistance(x0, y0) {
-      for (var j = 0; j < result.length; j++) {
-        const x1 = result[j].x;
-        const y1 = result[j].y;
+  /**
+   * Check whether the tile at [x, y] is in a zone of control of an enemy of
+   * `player`, which means that an adjacent tile has enemy land units.
+   *
+   * If `knownOnly` is true only tiles in sight of `player` are considered.
+   */
+  isZoneOfControl(player, x, y, knownOnly) {
+    const defs = this.defs;
+    const map = this.map;
 
-        const dx = GameUtils.distance(x0, x1, map.w);
-        const dy = GameUtils.distance(y0, y1, map.h);
+    for (var i = 0; i < Neighbors.length; i++) {
+      const nx = map.normX(x + Neighbors[i].x);
+      const ny = map.normY(y + Neighbors[i].y);
 
-        const distance = dx * dx + dy * dy;
+      if (nx === x && ny === y)
+        continue;
 
-        const minDistanceSq = map.getTile(x1, y1).continentId !== continentId
-          ? minOverseaDistanceSq
-          : minContinentDistanceSq;
+      const unit = map.getTile(nx, ny).units;
+      if (unit === null || !player.isEnemy(unit.player) || defs.units[unit.id].domain !== UnitDomain.Land)
+        continue;
 
-        if (distance < minDistanceSq)
-          return false;
-      }
+      if (knownOnly && !player.isVisible(nx, ny))
+        continue;
 
       return true;
     }
 
-    for (var i = 0; i < numTries; i++) {
-      const continent = continents[continentId];
-
-      const r = this.random.irand(continent.size) * 2;
-      const x = continent.coords[r + 0];
-      const y = continent.coords[r + 1];
-      const tile = map.getTile(x, y);
+    return false;
+  }
 
-      if (tile.id === TerrainType.Grassland && isGoodDistance(x, y)) {
-        result.push({ x: x, y: y });
-        if (result.length >= count) break;
-      }
+  /**
+   * Check whether moving `unit` to [x, y] would attack enemy units there.
+   */
+  isAttack(unit, x, y) {
+    const units = this.map.getTile(x, y).units;
+    return units !== null && unit.player.isEnemy(units.player);
+  }
 
-      if (continent.size < 100 || this.random.drand() < 0.4) {
-        // Revert to the first continent if we reached the end.
-        if (++continentId >= continents.length)
-          continentId = 0;
-        // Skip small islands if we still have half the tries.
-        else if (continents[continentId].size < minContinentSize) {
-          if (i * 2 < numTries)
-            continentId = 0;
-        }
+  /**
+   * Move `unit` to an adjacent tile at [x, y], which must pass `canMove()`
+   * and must not be an attack, see `isAttack()` and `attack()`.
+   *
+   * If the unit has less moves left than the move costs it still has a chance
+   * to move (like in Civ2), which is the ratio of its moves left and the cost.
+   * A unit that has all of its moves left always succeeds. The unit loses all
+   * of its moves if the partial move fails. Returns true if the unit moved.
+   */
+  moveUnit(unit, x, y) {
+    const cost = this.getMoveCost(unit, x, y);
+
+    if (unit.moves < cost) {
+      const full = this.defs.units[unit.id].moves * this.rules["MoveFragments"];
+      if (unit.moves < full && this.random.irand(cost) >= unit.moves) {
+        unit.moves = 0;
+        return false;
       }
     }
 
-    return result;
+    const srcX = unit.x;
+    const srcY = unit.y;
+
+    unit.moves = Math.max(unit.moves - cost, 0);
+    unit.fortified = false;
+    unit.improvement = -1;
+    this.map.moveUnit(unit, x, y);
+    unit.player.updateVisibility();
+    this.diplomacy.checkContact(unit.player, unit.x, unit.y);
+
+    this.invalidateTile(srcX, srcY);
+    this.invalidateTile(unit.x, unit.y);
+
+    const city = this.map.getTile(unit.x, unit.y).city;
+    if (city !== null && city.player !== unit.player)
+      this.captureCity(city, unit.player);
+
+    return true;
   }
 
-  generateCityName(player) {
+  // Attack strength of `unit`.
+  $attackStrength(unit) {
+    var strength = this.defs.units[unit.id].attack;
+
+    if (unit.veteran)
+      strength *= 1 + this.rules["VeteranBonus"] / 100;
+
+    return strength;
+  }
+
+  // Defense strength of `unit` when attacked by `attacker`.
+  $defenseStrength(unit, attacker) {
     const defs = this.defs;
+    const rules = this.rules;
 
-    const civilization = defs.civilizations[player.civ];
-    const cityNames = civilization.cityNames;
+    const info = defs.units[unit.id];
+    const tile = this.map.getTile(unit.x, unit.y);
+    const city = tile.city;
 
-    for (var i = 0; i < cityNames.length; i++) {
-      const cityName = cityNames[i];
-      if (!this.citiesByName.has(cityName))
-        return cityName;
+    var strength = info.defense;
+
+    if (info.domain === UnitDomain.Land) {
+      strength *= 1 + defs.terrains[tile.id].defense / 100;
+
+      if (tile.modifiers & TerrainModifier.kRiver)
+        strength *= 1 + rules["RiverDefenseBonus"] / 100;
     }
 
-    return `Unnamed #${++this.unnamedCityGenerator}`;
-  }
+    if (unit.fortified || city !== null)
+      strength *= 1 + rules["FortifyDefenseBonus"] / 100;
 
-  createPlayer(info) {
-    const slot = this.$findSlot(this.players);
-    const player = new GamePlayer(this, slot, info);
+    if (city !== null && defs.units[attacker.id].domain === UnitDomain.Land && city.hasBuilding("City Walls"))
+      strength *= 1 + rules["WallsDefenseBonus"] / 100;
 
-    player.uuid = ++this.uuidGenerator;
-    player.$subscribe();
+    if (unit.veteran)
+      strength *= 1 + rules["VeteranBonus"] / 100;
 
-    this.players[slot] = player;
-    return player;
+    return strength;
   }
 
-  destroyPlayer(player) {
-    const slot = player.slot;
+  /**
+   * Get the unit at [x, y] that defends against `attacker`, which is the unit
+   * with the best defense strength weighted by its hit points and firepower.
+   */
+  getDefender(attacker, x, y) {
+    const defs = this.defs;
 
-    player.$unsubscribe();
-    this.players[slot] = null;
+    var best = null;
+    var bestRating = -1;
+
+    for (var unit = this.map.getTile(x, y).units; unit !== null; unit = unit.next) {
+      const rating = this.$defenseStrength(unit, attacker) * unit.hp * defs.units[unit.id].firepower;
+      if (rating > bestRating) {
+        best = unit;
+        bestRating = rating;
+      }
+    }
+
+    return best;
   }
 
-  createUnit(info) {
-    const slot = this.$findSlot(this.units);
-    const unit = new GameUnit(this, slot, info);
-    const player = unit.player;
+  /**
+   * Preview an attack of `attacker` at [x, y] without resolving it.
+   *
+   * Returns null if there is nothing to attack, otherwise an object that
+   * contains the `defender` (unit), `attack` and `defense` strengths, the
+   * chance to win a single combat round (`roundChance`) and the chance to
+   * win the whole combat (`winChance`).
+   */
+  previewCombat(attacker, x, y) {
+    if (!this.isAttack(attacker, x, y))
+      return null;
 
-    unit.uuid = ++this.uuidGenerator;
+    const defs = this.defs;
+    const defender = this.getDefender(attacker, x, y);
 
-    this.units[slot] = unit;
-    this.map.assignUnit(unit);
+    const attack = this.$attackStrength(attacker);
+    const defense = this.$defenseStrength(defender, attacker);
+    const p = attack + defense > 0 ? attack / (attack + defense) : 0;
 
-    player._assignUnit(unit);
-    player.uncoverRect(unit.x - 3, unit.y - 3, 7, 7);
+    // The attacker must win `W` rounds before it loses `L` rounds.
+    const W = Math.ceil(defender.hp / defs.units[attacker.id].firepower);
+    const L = Math.ceil(attacker.hp / defs.units[defender.id].firepower);
 
-    return unit;
+    var winChance = 0;
+    if (p >= 1) {
+      winChance = 1;
+    }
+    else if (p > 0) {
+      var term = Math.pow(p, W);
+      for (var k = 0; k < L; k++) {
+        winChance += term;
+        term *= (1 - p) * (W + k) / (k + 1);
+      }
+    }
+
+    return {
+      defender   : defender,
+      attack     : attack,
+      defense    : defense,
+      roundChance: p,
+      winChance  : Math.min(winChance, 1)
+    };
   }
 
-  destroyUnit(unit) {
-    const slot = unit.slot;
+  /**
+   * Resolve an attack of `attacker` at [x, y], which must pass `canMove()`.
+   *
+   * The combat consists of rounds, in each round the attacker wins with a
+   * probability of `attack / (attack + defense)` and the loser of the round
+   * loses hit points equal to the winner's firepower. If the defender loses
+   * and the tile has no city all units on the tile are destroyed (stack kill).
+   * The attacker doesn't move to the tile.
+   */
+  attack(attacker, x, y) {
+    const defs = this.defs;
+    const rules = this.rules;
+    const random = this.random;
 
-    unit.player._removeUnit(unit);
-    this.map.removeUnit(unit);
+    const tile = this.map.getTile(x, y);
+    const defender = this.getDefender(attacker, x, y);
 
-    this.units[slot] = null;
-    unit.deleted = true;
+    const attack = this.$attackStrength(attacker);
+    const defense = this.$defenseStrength(defender, attacker);
+
+    const attackerFirepower = defs.units[attacker.id].firepower;
+    const defenderFirepower = defs.units[defender.id].firepower;
+
+    while (attacker.hp > 0 && defender.hp > 0) {
+      if (random.drand(attack + defense) < attack)
+        defender.hp = Math.max(defender.hp - attackerFirepower, 0);
+      else
+        attacker.hp = Math.max(attacker.hp - defenderFirepower, 0);
+    }
+
+    attacker.moves = Math.max(attacker.moves - rules["MoveFragments"], 0);
+    attacker.fortified = false;
+    attacker.improvement = -1;
+
+    const won = defender.hp === 0;
+    const winner = won ? attacker : defender;
+    const killed = [];
+
+    if (!winner.veteran && random.irand(100) < rules["VeteranChance"])
+      winner.veteran = true;
+
+    if (!won) {
+      killed.push(attacker.uuid);
+      this.destroyUnit(attacker);
+    }
+    else if (tile.city === null) {
+      while (tile.units !== null) {
+        killed.push(tile.units.uuid);
+        this.destroyUnit(tile.units);
+      }
+    }
+    else {
+      killed.push(defender.uuid);
+      this.destroyUnit(defender);
+    }
+
+    const result = {
+      attacker  : attacker.uuid,
+      defender  : defender.uuid,
+      won       : won,
+      attackerHp: attacker.hp,
+      defenderHp: defender.hp,
+      killed    : killed
+    };
+
+    this.emit("combat", result);
+    return result;
+  }
+
+  /**
+   * Find a path of `unit` to [x, y], see `Pathfinder.findPath()`.
+   */
+  findPath(unit, x, y, options) {
+    return this.pathfinder.findPath(unit, x, y, options);
   }
 
   createCity(info) {
@@ -2326,29 +7052,135 @@ class Game extends Observable {
 
     this.cities[slot] = city;
     this.citiesByName.set(city.name, city);
+    this.objectsByUUID.set(city.uuid, city);
 
     this.map.assignCity(city);
     player._assignCity(city);
 
-    // TODO: Remove, temporary.
-    var B, i;
-    for (B = Brush.Square3x3, i = 0; i < B.length; i++) {
-      const tile = this.map.getTileSafe(info.x + B[i].x, info.y + B[i].y);
-      tile.territory = player.slot;
-    }
+    this.updateBorders();
+    this.diplomacy.checkContact(player, city.x, city.y);
+    player.updateVisibility();
+
+    city.arrange();
+    city.update();
 
     this.emit("invalidateRect", info.x - 2, info.y - 2, 5, 5);
     return city;
   }
 
+  /**
+   * Change the owner of `city` to `player`.
+   */
+  captureCity(city, player) {
+    const prev = city.player;
+
+    this.transferCity(city, player);
+    this.emit("cityCaptured", city, prev);
+  }
+
+  /**
+   * Change the owner of `city` to `player` without capturing it (like when
+   * the city was given by a proposal), see `captureCity()`.
+   */
+  transferCity(city, player) {
+    const prev = city.player;
+
+    prev._removeCity(city);
+    city.player = player;
+    player._assignCity(city);
+
+    this.updateBorders();
+    this.diplomacy.checkContact(player, city.x, city.y);
+    prev.updateVisibility();
+    player.updateVisibility();
+
+    city.arrange();
+    city.update();
+
+    this.emit("invalidateRect", city.x - 2, city.y - 2, 5, 5);
+  }
+
   destroyCity(city) {
     const slot = city.slot;
 
+    city.$releaseTiles();
     city.player._removeCity(city);
     this.map.removeCity(city);
 
     this.cities[slot] = null;
+    this.citiesByName.delete(city.name);
+    this.objectsByUUID.delete(city.uuid);
     city.deleted = true;
+
+    this.updateBorders();
+    city.player.updateVisibility();
+  }
+
+  /**
+   * Recalculate `GameTile.territory` of the whole map from city borders.
+   *
+   * Each city claims tiles within its border radius (see `GameCity.getBorderRadius()`)
+   * with a pressure of `(cultureCount + 1) * (r^2 + r + 1 - d^2)`, where `d` is
+   * the distance of the tile from the city. A tile belongs to the player whose
+   * city has the highest pressure, the current owner keeps a tile on a tie, and
+   * a city always owns its own tile. Changed tiles are invalidated and players
+   * whose territories touch make contact.
+   */
+  updateBorders() {
+    const map = this.map;
+    const w = map.w;
+    const h = map.h;
+    const cities = this.cities;
+
+    const owner = new Int32Array(w * h).fill(-1);
+    const pressure = new Float64Array(w * h);
+
+    for (var i = 0; i < cities.length; i++) {
+      const city = cities[i];
+      if (!city)
+        continue;
+
+      const slot = city.player.slot;
+      const r = city.getBorderRadius();
+      const limit = r * r + r;
+      const culture = city.cultureCount + 1;
+
+      for (var dy = -r; dy <= r; dy++) {
+        for (var dx = -r; dx <= r; dx++) {
+          const d = dx * dx + dy * dy;
+          if (d > limit)
+            continue;
+
+          var tx = city.x + dx;
+          var ty = city.y + dy;
+
+          if (map.flipX) tx = map.normX(tx); else if (tx < 0 || tx >= w) continue;
+          if (map.flipY) ty = map.normY(ty); else if (ty < 0 || ty >= h) continue;
+
+          const index = ty * w + tx;
+          const p = d === 0 ? Infinity : culture * (limit + 1 - d);
+
+          if (p > pressure[index] || (p === pressure[index] && map.getTile(tx, ty).territory === slot)) {
+            pressure[index] = p;
+            owner[index] = slot;
+          }
+        }
+      }
+    }
+
+    for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+        const tile = map.getTile(x, y);
+        const territory = owner[y * w + x];
+
+        if (tile.territory !== territory) {
+          tile.territory = territory;
+          this.emit("invalidateRect", x - 1, y - 1, 3, 3);
+        }
+      }
+    }
+
+    this.diplomacy.checkBorders();
   }
 
   buildCity(unit) {
@@ -2374,15 +7206,163 @@ class Game extends Observable {
     return city;
   }
 
-  endOfTurn() {
-    if (++this.turnPlayerSlot >= this.players.length) {
-      this.turnPlayerSlot = 0;
-      this.turnIndex++;
+  /**
+   * Start the next turn, see `TurnManager.startTurn()`.
+   */
+  startTurn() {
+    this.turns.startTurn();
+  }
+
+  /**
+   * Configure victory conditions evaluated at the end of each turn. Options
+   * not present in `options` are kept unchanged:
+   *
+   *   - `conquest` - The last player that wasn't eliminated wins.
+   *   - `turnLimit` - The player having the highest score wins once the game
+   *     reaches this turn, 0 disables the limit.
+   *   - `technology` - The first player to discover this technology (name or
+   *     id) wins (space race), null or -1 disables it.
+   *   - `custom` - Function `(game)` returning the winning player or null.
+   *     It's not part of the game state, so it's not saved nor recorded.
+   */
+  setVictory(options) {
+    const victory = this.victory;
+
+    if (options.conquest !== undefined)
+      victory.conquest = Boolean(options.conquest);
+
+    if (options.turnLimit !== undefined)
+      victory.turnLimit = Math.max(Math.floor(options.turnLimit) || 0, 0);
+
+    if (options.technology !== undefined)
+      victory.technology = options.technology === null || options.technology === -1
+        ? -1 : this.defs.technologies.byNameOrId(options.technology);
+
+    if (options.custom !== undefined) {
+      if (options.custom !== null && typeof options.custom !== "function")
+        FAILED(`Custom victory condition must be a function or null`);
+      victory.custom = options.custom;
+    }
+
+    this.emit("victoryChanged", victory);
+    return this;
+  }
+
+  isGameOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Eliminate `player` from the game, its remaining units are destroyed.
+   */
+  eliminatePlayer(player) {
+    while (player.units.length)
+      this.destroyUnit(player.units[player.units.length - 1]);
+
+    player.eliminated = true;
+    this.emit("playerEliminated", player);
+  }
+
+  /**
+   * Get standings of all players - `winner` first, then players that were
+   * not eliminated, each group ordered by score.
+   */
+  getStandings(winner) {
+    const players = this.players;
+    const winnerSlot = winner ? winner.slot : -1;
+    const standings = [];
+
+    for (var i = 0; i < players.length; i++) {
+      const player = players[i];
+      if (player)
+        standings.push({ player: player.slot, score: player.getScore(), eliminated: player.eliminated });
+    }
+
+    standings.sort(function(a, b) {
+      return (b.player === winnerSlot) - (a.player === winnerSlot) ||
+             a.eliminated - b.eliminated ||
+             b.score - a.score ||
+             a.player - b.player;
+    });
+
+    return standings;
+  }
+
+  // Get the player having the highest score, ties are won by the lower slot.
+  $getLeader(players) {
+    var leader = null;
+    var leaderScore = -1;
+
+    for (var i = 0; i < players.length; i++) {
+      const score = players[i].getScore();
+      if (score > leaderScore) {
+        leader = players[i];
+        leaderScore = score;
+      }
+    }
+
+    return leader;
+  }
+
+  // Eliminates defeated players and evaluates victory conditions at the end
+  // of a turn, see `TurnManager`. Returns the result if the game is over.
+  _checkGameOver() {
+    const players = this.players;
+    const victory = this.victory;
+
+    if (this.result !== null)
+      return this.result;
+
+    var i;
+    for (i = 0; i < players.length; i++) {
+      const player = players[i];
+      if (player && !player.eliminated && player.isDefeated())
+        this.eliminatePlayer(player);
+    }
+
+    const existing = players.filter(function(player) { return player !== null; });
+    const remaining = existing.filter(function(player) { return !player.eliminated; });
+
+    var reason = "";
+    var winner = null;
+
+    if (victory.custom !== null) {
+      winner = victory.custom(this) || null;
+      if (winner)
+        reason = "custom";
+    }
+
+    if (!reason && victory.technology !== -1) {
+      const discovered = remaining.filter(function(player) { return player.hasTechnology(victory.technology); });
+      if (discovered.length) {
+        winner = this.$getLeader(discovered);
+        reason = "technology";
+      }
+    }
+
+    // A game of a single player is never won by conquest.
+    if (!reason && victory.conquest && existing.length > 1 && remaining.length <= 1) {
+      winner = remaining.length ? remaining[0] : null;
+      reason = "conquest";
     }
 
-    if (!this._turnPendingId) {
-      this._turnPendingId = setTimeout(this.onTurn, 0);
+    if (!reason && victory.turnLimit > 0 && this.turnIndex >= victory.turnLimit) {
+      winner = this.$getLeader(remaining);
+      reason = "score";
     }
+
+    if (!reason)
+      return null;
+
+    this.result = {
+      reason   : reason,
+      winner   : winner ? winner.slot : -1,
+      turn     : this.turnIndex,
+      standings: this.getStandings(winner)
+    };
+
+    this.emit("gameOver", this.result);
+    return this.result;
   }
 
   setAssetStore(store) {
@@ -2442,27 +7422,117 @@ class Game extends Observable {
     return i;
   }
 
-  _onTurn(self) {
-    const player = this.players[this.turnPlayerSlot];
+  /**
+   * Get links of units, buildings, and modifiers that require technology
+   * `nameOrId`.
+   */
+  getUnlockedBy(nameOrId) {
+    const defs = this.defs;
+    const id = defs.technologies.byNameOrId(nameOrId);
+    const result = [];
+
+    const lists = [defs.units, defs.buildings, defs.modifiers];
+    for (var i = 0; i < lists.length; i++) {
+      const items = lists[i];
+      for (var j = 0; j < items.length; j++)
+        if (items[j].prereqTechs.indexOf(id) !== -1)
+          result.push(items[j].link);
+    }
+
+    return result;
+  }
+
+  $workKey(x, y, modifier) {
+    return (y * this.map.w + x) * this.defs.modifiers.length + modifier;
+  }
+
+  // Per-turn step of worker units. Work of all units building the same
+  // modifier on a tile is added together and kept if the units leave.
+  _processWork(player) {
+    const defs = this.defs;
+    const map = this.map;
+    const rules = this.rules;
+    const units = player.units;
+    const touched = [];
+
+    var i;
+
+    for (i = 0; i < units.length; i++) {
+      const unit = units[i];
+      if (unit.improvement === -1)
+        continue;
+
+      const key = this.$workKey(unit.x, unit.y, unit.improvement);
+      var work = this.work.get(key);
+
+      if (work === undefined) {
+        work = { x: unit.x, y: unit.y, modifier: unit.improvement, progress: 0 };
+        this.work.set(key, work);
+      }
+
+      work.progress += defs.units[unit.id].hasFlag("Engineer") ? rules["EngineerWork"] : rules["WorkerWork"];
+      if (touched.indexOf(key) === -1)
+        touched.push(key);
+    }
+
+    for (i = 0; i < touched.length; i++) {
+      const work = this.work.get(touched[i]);
+      if (work.progress < this.getImprovementCost(work.x, work.y, work.modifier))
+        continue;
+
+      this.work.delete(touched[i]);
+      for (var unit = map.getTile(work.x, work.y).units; unit !== null; unit = unit.next)
+        if (unit.improvement === work.modifier)
+          unit.improvement = -1;
+
+      // The tile might have changed in the meantime.
+      if (this.canImprove(player, work.x, work.y, work.modifier) !== "")
+        continue;
+
+      this.improveTile(work.x, work.y, work.modifier);
+      this.emit("tileImproved", work.x, work.y, work.modifier, player);
+    }
+  }
+
+  // Per-turn step of all player cities.
+  _processCities(player) {
+    const cities = player.cities;
 
-    this._turnPendingId = null;
-    this._restoreMoves(player);
+    for (var i = 0; i < cities.length; i++) {
+      const city = cities[i];
 
-    if (player.ai) {
-      player.ai.onTurn();
+      // Tiles might have been taken by other cities or enemy units.
+      city.arrange();
+      city.update();
+      city.processFood();
+      city.processProduction();
+      city.processCulture();
     }
+
+    this.updateBorders();
+    player.processTreasury();
+    player.processResearch();
   }
 
   // Restore move points of all player units.
   _restoreMoves(player) {
     const defs = this.defs;
     const units = player.units;
+    const fragments = this.rules["MoveFragments"];
 
     for (var i = 0; i < units.length; i++) {
       const unit = units[i];
       const info = defs.units[unit.id];
 
-      unit.moves = info.moves;
+      unit.moves = info.moves * fragments;
+
+      // Damaged units heal, fully in own city.
+      if (unit.hp < info.hitpoints) {
+        const city = this.map.getTile(unit.x, unit.y).city;
+        unit.hp = city !== null && city.player === player
+          ? info.hitpoints
+          : Math.min(unit.hp + this.rules["UnitHealRate"], info.hitpoints);
+      }
     }
   }
 
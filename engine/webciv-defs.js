@@ -16,6 +16,16 @@ const TerrainModifier = core.TerrainModifier;
 const TC_Land = TerrainCategory.Land;
 const TC_Ocean = TerrainCategory.Ocean;
 
+const UD_Land = core.UnitDomain.Land;
+const UD_Sea = core.UnitDomain.Sea;
+const UD_Air = core.UnitDomain.Air;
+
+const TM_River = TerrainModifier.kRiver;
+const TM_Road = TerrainModifier.kRoad;
+const TM_Railroad = TerrainModifier.kRailroad;
+const TM_Irrigation = TerrainModifier.kIrrigation;
+const TM_Mine = TerrainModifier.kMine;
+
 // Links Rules:
 //   - Remove all dots
 //   - Replace spaces with underscores
@@ -31,6 +41,9 @@ const TC_Ocean = TerrainCategory.Ocean;
 //   "@[Technology]"   - Link to a technology      - "@[The Wheel]"
 //   "~[Civilization]" - Link to a civilization    - "~[Aztecs]"
 
+defs.name = "WebCiv";
+defs.version = "0.0.1";
+
 defs.assets = [
   { name: "Texture.Covered"    , file: "texture-covered.png"   , type: "Other"    },
   { name: "Texture.Ocean"      , file: "terrain-ocean.png"     , type: "Terrain" , dominance: 1, blendmap: "_[BlendMap.Terrain.2]" },
@@ -54,17 +67,17 @@ defs.assets = [
 ];
 
 defs.terrains = [
-  { name: "Desert"             , id: TerrainType.Desert   , category: TC_Land , move: 1, defense:   0, food: 0, production: 1, commerce: 0, asset: "_[Texture.Desert]"    },
-  { name: "Plains"             , id: TerrainType.Plains   , category: TC_Land , move: 1, defense:   0, food: 1, production: 1, commerce: 0, asset: "_[Texture.Plains]"    },
-  { name: "Grassland"          , id: TerrainType.Grassland, category: TC_Land , move: 1, defense:   0, food: 2, production: 1, commerce: 0, asset: "_[Texture.Grassland]" },
-  { name: "Forest"             , id: TerrainType.Forest   , category: TC_Land , move: 1, defense:  50, food: 1, production: 2, commerce: 0, asset: "_[Texture.Grassland]" },
-  { name: "Hills"              , id: TerrainType.Hills    , category: TC_Land , move: 2, defense: 100, food: 1, production: 0, commerce: 0, asset: "_[Texture.Grassland]" },
-  { name: "Mountains"          , id: TerrainType.Mountains, category: TC_Land , move: 3, defense: 200, food: 0, production: 1, commerce: 2, asset: "_[Texture.Grassland]" },
-  { name: "Tundra"             , id: TerrainType.Tundra   , category: TC_Land , move: 1, defense:   0, food: 1, production: 1, commerce: 0, asset: "_[Texture.Tundra]"    },
-  { name: "Arctic"             , id: TerrainType.Arctic   , category: TC_Land , move: 2, defense:   0, food: 0, production: 0, commerce: 0, asset: "_[Texture.Arctic]"    },
-  { name: "Swamp"              , id: TerrainType.Swamp    , category: TC_Land , move: 2, defense:  50, food: 1, production: 0, commerce: 0, asset: "_[Texture.Grassland]" },
-  { name: "Jungle"             , id: TerrainType.Jungle   , category: TC_Land , move: 2, defense:  50, food: 1, production: 0, commerce: 0, asset: "_[Texture.Jungle]"    },
-  { name: "Ocean"              , id: TerrainType.Ocean    , category: TC_Ocean, move: 1, defense:   0, food: 1, production: 0, commerce: 2, asset: "_[Texture.Ocean]"     }
+  { name: "Desert"             , id: TerrainType.Desert   , category: TC_Land , move: 1, defense:   0, sight: 0, food: 0, production: 1, commerce: 0, asset: "_[Texture.Desert]"    },
+  { name: "Plains"             , id: TerrainType.Plains   , category: TC_Land , move: 1, defense:   0, sight: 0, food: 1, production: 1, commerce: 0, asset: "_[Texture.Plains]"    },
+  { name: "Grassland"          , id: TerrainType.Grassland, category: TC_Land , move: 1, defense:   0, sight: 0, food: 2, production: 1, commerce: 0, asset: "_[Texture.Grassland]" },
+  { name: "Forest"             , id: TerrainType.Forest   , category: TC_Land , move: 1, defense:  50, sight: 0, food: 1, production: 2, commerce: 0, asset: "_[Texture.Grassland]" },
+  { name: "Hills"              , id: TerrainType.Hills    , category: TC_Land , move: 2, defense: 100, sight: 1, food: 1, production: 0, commerce: 0, asset: "_[Texture.Grassland]" },
+  { name: "Mountains"          , id: TerrainType.Mountains, category: TC_Land , move: 3, defense: 200, sight: 1, food: 0, production: 1, commerce: 2, asset: "_[Texture.Grassland]" },
+  { name: "Tundra"             , id: TerrainType.Tundra   , category: TC_Land , move: 1, defense:   0, sight: 0, food: 1, production: 1, commerce: 0, asset: "_[Texture.Tundra]"    },
+  { name: "Arctic"             , id: TerrainType.Arctic   , category: TC_Land , move: 2, defense:   0, sight: 0, food: 0, production: 0, commerce: 0, asset: "_[Texture.Arctic]"    },
+  { name: "Swamp"              , id: TerrainType.Swamp    , category: TC_Land , move: 2, defense:  50, sight: 0, food: 1, production: 0, commerce: 0, asset: "_[Texture.Grassland]" },
+  { name: "Jungle"             , id: TerrainType.Jungle   , category: TC_Land , move: 2, defense:  50, sight: 0, food: 1, production: 0, commerce: 0, asset: "_[Texture.Jungle]"    },
+  { name: "Ocean"              , id: TerrainType.Ocean    , category: TC_Ocean, move: 1, defense:   0, sight: 0, food: 1, production: 0, commerce: 2, asset: "_[Texture.Ocean]"     }
 ];
 
 defs.resources = [
@@ -97,67 +110,74 @@ defs.resources = [
   { name: "Sulphur"            , food: 0, production: 2, commerce: 1, terrain: ["#[Grassland]"]             , onRiver: false, assetX: 14, assetY: 6 }
 ];
 
+// Modifiers that have `time` can be built by units having "Worker" flag, it
+// takes `time * move` turns of work on the tile, where `move` is the move cost
+// of its terrain. An empty `terrain` array means any land terrain. A modifier
+// in `prereq` must already be on the tile. Modifiers having "Exclusive" flag
+// replace each other, and "Water" requires a river, ocean, or irrigation next
+// to the tile.
 defs.modifiers = [
-  { name: "Road"               },
-  { name: "Railroad"           },
-  { name: "Irrigation"         },
-  { name: "Mine"               },
-  { name: "River"              }
+  { name: "Road"               , mask: TM_Road      , prereq: []                        , time: 2, food: 0, production: 0, commerce: 0, terrain: []                                                                 , flags: [] },
+  { name: "Railroad"           , mask: TM_Railroad  , prereq: ["@[Railroad]", "+[Road]"], time: 3, food: 0, production: 0, commerce: 0, terrain: []                                                                 , flags: [] },
+  { name: "Irrigation"         , mask: TM_Irrigation, prereq: []                        , time: 5, food: 1, production: 0, commerce: 0, terrain: ["#[Desert]", "#[Plains]", "#[Grassland]", "#[Hills]", "#[Tundra]"], flags: ["Exclusive", "Water"] },
+  { name: "Mine"               , mask: TM_Mine      , prereq: []                        , time: 5, food: 0, production: 2, commerce: 0, terrain: ["#[Desert]", "#[Hills]", "#[Mountains]"]                          , flags: ["Exclusive"] },
+  { name: "River"              , mask: TM_River     , prereq: []                        , time: 0, food: 0, production: 0, commerce: 0, terrain: []                                                                 , flags: [] }
 ];
 
 defs.buildings = [
-  { name: "Palace"             , prereq: ["@[Masonry]"]                  , cost:200, upkeep: 0, flags: ["Capital"] },
-  { name: "Barracks"           , prereq: []                              , cost: 40, upkeep: 1, flags: [] },
-  { name: "Granary"            , prereq: ["@[Pottery]"]                  , cost: 60, upkeep: 1, flags: [] },
-  { name: "Temple"             , prereq: ["@[Ceremonial Burial]"]        , cost: 40, upkeep: 1, flags: [] },
-  { name: "Marketplace"        , prereq: ["@[Currency]"]                 , cost: 80, upkeep: 1, flags: [] },
-  { name: "Library"            , prereq: ["@[Writing]"]                  , cost: 80, upkeep: 1, flags: [] },
-  { name: "Courthouse"         , prereq: ["@[Code of Laws]"]             , cost: 80, upkeep: 1, flags: [] },
-  { name: "City Walls"         , prereq: ["@[Masonry]"]                  , cost:100, upkeep: 2, flags: [] },
-  { name: "Bank"               , prereq: ["@[Banking]", "%[Marketplace]"], cost:120, upkeep: 2, flags: [] },
-  { name: "University"         , prereq: ["@[University]", "%[Library]"] , cost:160, upkeep: 2, flags: [] },
-  { name: "Aqueduct"           , prereq: ["@[Construction]"]             , cost:120, upkeep: 2, flags: [] },
-  { name: "Colosseum"          , prereq: ["@[Construction]"]             , cost:100, upkeep: 2, flags: [] },
-  { name: "Cathedral"          , prereq: ["@[Religion]"]                 , cost:160, upkeep: 3, flags: [] },
-  { name: "Factory"            , prereq: ["@[Industrialization]"]        , cost:200, upkeep: 4, flags: [] },
-  { name: "Manufacturing Plant", prereq: ["@[Robotics]", "%[Factory]"]   , cost:320, upkeep: 4, flags: [] },
-  { name: "Power Plant"        , prereq: ["@[Refining]"]                 , cost:160, upkeep: 4, flags: ["Power Plant"] },
-  { name: "Hydro Plant"        , prereq: ["@[Electronics]"]              , cost:240, upkeep: 4, flags: ["Power Plant"] },
-  { name: "Nuclear Plant"      , prereq: ["@[Nuclear Power]"]            , cost:160, upkeep: 4, flags: ["Power Plant"] },
-  { name: "Mass Transit"       , prereq: ["@[Mass Production]"]          , cost:160, upkeep: 3, flags: [] },
-  { name: "Recycling Center"   , prereq: ["@[Recycling]"]                , cost:200, upkeep: 3, flags: [] },
-  { name: "SDI Defense"        , prereq: ["@[Superconductors]"]          , cost:200, upkeep: 4, flags: [] }
+  { name: "Palace"             , prereq: ["@[Masonry]"]                  , cost:200, upkeep: 0, culture: 2, flags: ["Capital"] },
+  { name: "Barracks"           , prereq: []                              , cost: 40, upkeep: 1, culture: 0, flags: [] },
+  { name: "Granary"            , prereq: ["@[Pottery]"]                  , cost: 60, upkeep: 1, culture: 0, flags: [] },
+  { name: "Temple"             , prereq: ["@[Ceremonial Burial]"]        , cost: 40, upkeep: 1, culture: 1, flags: [] },
+  { name: "Marketplace"        , prereq: ["@[Currency]"]                 , cost: 80, upkeep: 1, culture: 0, flags: [] },
+  { name: "Library"            , prereq: ["@[Writing]"]                  , cost: 80, upkeep: 1, culture: 1, flags: [] },
+  { name: "Courthouse"         , prereq: ["@[Code of Laws]"]             , cost: 80, upkeep: 1, culture: 1, flags: [] },
+  { name: "City Walls"         , prereq: ["@[Masonry]"]                  , cost:100, upkeep: 2, culture: 0, flags: [] },
+  { name: "Bank"               , prereq: ["@[Banking]", "%[Marketplace]"], cost:120, upkeep: 2, culture: 0, flags: [] },
+  { name: "University"         , prereq: ["@[University]", "%[Library]"] , cost:160, upkeep: 2, culture: 2, flags: [] },
+  { name: "Aqueduct"           , prereq: ["@[Construction]"]             , cost:120, upkeep: 2, culture: 0, flags: [] },
+  { name: "Colosseum"          , prereq: ["@[Construction]"]             , cost:100, upkeep: 2, culture: 1, flags: [] },
+  { name: "Cathedral"          , prereq: ["@[Religion]"]                 , cost:160, upkeep: 3, culture: 2, flags: [] },
+  { name: "Factory"            , prereq: ["@[Industrialization]"]        , cost:200, upkeep: 4, culture: 0, flags: [] },
+  { name: "Manufacturing Plant", prereq: ["@[Robotics]", "%[Factory]"]   , cost:320, upkeep: 4, culture: 0, flags: [] },
+  { name: "Power Plant"        , prereq: ["@[Refining]"]                 , cost:160, upkeep: 4, culture: 0, flags: ["Power Plant"] },
+  { name: "Hydro Plant"        , prereq: ["@[Electronics]"]              , cost:240, upkeep: 4, culture: 0, flags: ["Power Plant"] },
+  { name: "Nuclear Plant"      , prereq: ["@[Nuclear Power]"]            , cost:160, upkeep: 4, culture: 0, flags: ["Power Plant"] },
+  { name: "Mass Transit"       , prereq: ["@[Mass Production]"]          , cost:160, upkeep: 3, culture: 0, flags: [] },
+  { name: "Recycling Center"   , prereq: ["@[Recycling]"]                , cost:200, upkeep: 3, culture: 0, flags: [] },
+  { name: "SDI Defense"        , prereq: ["@[Super Conductor]"]          , cost:200, upkeep: 4, culture: 0, flags: [] }
 ];
 
 defs.units = [
-  { name: "Settlers"           , prereq: []                              , cost: 40, upkeep: 0, attack: 0, defense: 0, movement: 1, flags: [] },
-  { name: "Militia"            , prereq: []                              , cost: 10, upkeep: 0, attack: 1, defense: 0, movement: 1, flags: [] },
-  { name: "Phalanx"            , prereq: ["@[Bronze Working]"]           , cost: 20, upkeep: 0, attack: 1, defense: 0, movement: 1, flags: [] },
-  { name: "Legion"             , prereq: ["@[Iron Working]"]             , cost: 20, upkeep: 0, attack: 3, defense: 1, movement: 1, flags: [] },
-  { name: "Musketeer"          , prereq: ["@[Gunpowder]"]                , cost: 30, upkeep: 0, attack: 2, defense: 3, movement: 1, flags: [] },
-  { name: "Riflemen"           , prereq: ["@[Conscription]"]             , cost: 40, upkeep: 0, attack: 0, defense: 0, movement: 1, flags: [] },
-  { name: "Cavalry"            , prereq: ["@[Horseback Riding]"]         , cost: 20, upkeep: 0, attack: 2, defense: 1, movement: 2, flags: [] },
-  { name: "Knights"            , prereq: ["@[Chivalry]"]                 , cost: 40, upkeep: 0, attack: 5, defense: 2, movement: 2, flags: [] },
-  { name: "Catapult"           , prereq: ["@[Mathematics]"]              , cost: 40, upkeep: 0, attack: 6, defense: 1, movement: 1, flags: [] },
-  { name: "Cannon"             , prereq: ["@[Metallurgy]"]               , cost: 40, upkeep: 0, attack: 8, defense: 1, movement: 1, flags: [] },
-  { name: "Chariot"            , prereq: ["@[The Wheel]"]                , cost: 40, upkeep: 0, attack: 4, defense: 1, movement: 2, flags: [] },
-  { name: "Armor"              , prereq: ["@[Automobile]"]               , cost: 80, upkeep: 0, attack:10, defense: 5, movement: 3, flags: [] },
-  { name: "Mech. Inf"          , prereq: ["@[Labor Union]"]              , cost: 40, upkeep: 0, attack: 0, defense: 0, movement: 1, flags: [] },
-  { name: "Artilery"           , prereq: ["@[Robotics]"]                 , cost: 60, upkeep: 0, attack:12, defense: 2, movement: 2, flags: [] },
-  { name: "Fighter"            , prereq: ["@[Flight]"]                   , cost: 60, upkeep: 0, attack: 4, defense: 2, movement:10, flags: [] },
-  { name: "Bomber"             , prereq: ["@[Advanced Flight]"]          , cost:120, upkeep: 0, attack:12, defense: 1, movement: 8, flags: [] },
-  { name: "Trireme"            , prereq: ["@[Map Making]"]               , cost: 40, upkeep: 0, attack: 1, defense: 0, movement: 3, flags: [] },
-  { name: "Sail"               , prereq: ["@[Navigation]"]               , cost: 40, upkeep: 0, attack: 2, defense: 1, movement: 3, flags: [] },
-  { name: "Frigate"            , prereq: ["@[Magnetism]"]                , cost: 40, upkeep: 0, attack: 3, defense: 2, movement: 4, flags: [] },
-  { name: "Ironclad"           , prereq: ["@[Steam Engine]"]             , cost: 60, upkeep: 0, attack: 4, defense: 4, movement: 5, flags: [] },
-  { name: "Cruiser"            , prereq: ["@[Combustion]"]               , cost: 80, upkeep: 0, attack: 6, defense: 6, movement: 6, flags: [] },
-  { name: "Battleship"         , prereq: ["@[Steel]"]                    , cost:160, upkeep: 0, attack:18, defense:12, movement: 5, flags: [] },
-  { name: "Submarine"          , prereq: ["@[Mass Production]"]          , cost: 50, upkeep: 0, attack:10, defense: 2, movement: 4, flags: [] },
-  { name: "Carrier"            , prereq: ["@[Advanced Flight]"]          , cost:160, upkeep: 0, attack: 6, defense:12, movement: 1, flags: [] },
-  { name: "Transport"          , prereq: ["@[Industrialization]"]        , cost: 50, upkeep: 0, attack: 0, defense: 4, movement: 5, flags: [] },
-  { name: "Nuclear"            , prereq: ["@[Rocketry]"]                 , cost:160, upkeep: 0, attack:99, defense: 0, movement:16, flags: [] },
-  { name: "Diplomat"           , prereq: ["@[Writing]"]                  , cost: 40, upkeep: 0, attack: 0, defense: 0, movement: 1, flags: [] },
-  { name: "Caravan"            , prereq: ["@[Trade]"]                    , cost: 50, upkeep: 0, attack: 0, defense: 1, movement: 1, flags: [] }
+  { name: "Settlers"           , prereq: []                              , cost: 40, upkeep: 0, attack: 0, defense: 0, movement: 1, sight: 1, domain: UD_Land, flags: ["Settle", "Worker"] },
+  { name: "Engineers"          , prereq: ["@[Explosives]"]               , cost: 40, upkeep: 1, attack: 0, defense: 2, movement: 2, sight: 1, domain: UD_Land, flags: ["Worker", "Engineer"] },
+  { name: "Militia"            , prereq: []                              , cost: 10, upkeep: 1, attack: 1, defense: 0, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Phalanx"            , prereq: ["@[Bronze Working]"]           , cost: 20, upkeep: 1, attack: 1, defense: 2, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Legion"             , prereq: ["@[Iron Working]"]             , cost: 20, upkeep: 1, attack: 3, defense: 1, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Musketeer"          , prereq: ["@[Gunpowder]"]                , cost: 30, upkeep: 1, attack: 2, defense: 3, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Riflemen"           , prereq: ["@[Conscription]"]             , cost: 40, upkeep: 1, attack: 3, defense: 5, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Cavalry"            , prereq: ["@[Horseback Riding]"]         , cost: 20, upkeep: 1, attack: 2, defense: 1, movement: 2, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Knights"            , prereq: ["@[Chivalry]"]                 , cost: 40, upkeep: 1, attack: 5, defense: 2, movement: 2, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Catapult"           , prereq: ["@[Mathematics]"]              , cost: 40, upkeep: 1, attack: 6, defense: 1, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Cannon"             , prereq: ["@[Metallurgy]"]               , cost: 40, upkeep: 1, attack: 8, defense: 1, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Chariot"            , prereq: ["@[The Wheel]"]                , cost: 40, upkeep: 1, attack: 4, defense: 1, movement: 2, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Armor"              , prereq: ["@[Automobile]"]               , cost: 80, upkeep: 1, attack:10, defense: 5, movement: 3, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Mech. Inf"          , prereq: ["@[Labor Union]"]              , cost: 40, upkeep: 1, attack: 6, defense: 6, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Artilery"           , prereq: ["@[Robotics]"]                 , cost: 60, upkeep: 1, attack:12, defense: 2, movement: 2, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Fighter"            , prereq: ["@[Flight]"]                   , cost: 60, upkeep: 1, attack: 4, defense: 2, movement:10, sight: 2, domain: UD_Air , flags: [] },
+  { name: "Bomber"             , prereq: ["@[Advanced Flight]"]          , cost:120, upkeep: 1, attack:12, defense: 1, movement: 8, sight: 2, domain: UD_Air , flags: [] },
+  { name: "Trireme"            , prereq: ["@[Map Making]"]               , cost: 40, upkeep: 1, attack: 1, defense: 0, movement: 3, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Sail"               , prereq: ["@[Navigation]"]               , cost: 40, upkeep: 1, attack: 2, defense: 1, movement: 3, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Frigate"            , prereq: ["@[Magnetism]"]                , cost: 40, upkeep: 1, attack: 3, defense: 2, movement: 4, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Ironclad"           , prereq: ["@[Steam Engine]"]             , cost: 60, upkeep: 1, attack: 4, defense: 4, movement: 5, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Cruiser"            , prereq: ["@[Combustion]"]               , cost: 80, upkeep: 1, attack: 6, defense: 6, movement: 6, sight: 2, domain: UD_Sea , flags: [] },
+  { name: "Battleship"         , prereq: ["@[Steel]"]                    , cost:160, upkeep: 1, attack:18, defense:12, movement: 5, sight: 2, domain: UD_Sea , flags: [] },
+  { name: "Submarine"          , prereq: ["@[Mass Production]"]          , cost: 50, upkeep: 1, attack:10, defense: 2, movement: 4, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Carrier"            , prereq: ["@[Advanced Flight]"]          , cost:160, upkeep: 1, attack: 6, defense:12, movement: 1, sight: 2, domain: UD_Sea , flags: [] },
+  { name: "Transport"          , prereq: ["@[Industrialization]"]        , cost: 50, upkeep: 1, attack: 0, defense: 4, movement: 5, sight: 1, domain: UD_Sea , flags: [] },
+  { name: "Nuclear"            , prereq: ["@[Rocketry]"]                 , cost:160, upkeep: 1, attack:99, defense: 0, movement:16, sight: 2, domain: UD_Air , flags: [] },
+  { name: "Diplomat"           , prereq: ["@[Writing]"]                  , cost: 40, upkeep: 1, attack: 0, defense: 0, movement: 1, sight: 1, domain: UD_Land, flags: [] },
+  { name: "Caravan"            , prereq: ["@[Trade]"]                    , cost: 50, upkeep: 1, attack: 0, defense: 1, movement: 1, sight: 1, domain: UD_Land, flags: [] }
 ];
 
 defs.technologies = [
@@ -186,13 +206,14 @@ defs.technologies = [
   { name: "Explosives"         , prereq: ["@[Chemistry]", "@[Gunpowder]"]           },
   { name: "Feudalism"          , prereq: ["@[Masonry]", "@[Monarchy]"]              },
   { name: "Flight"             , prereq: ["@[Physics]", "@[Combustion]"]            },
-  { name: "Fusion Power"       , prereq: ["@[Nuclear Power]", "@[Superconductor]"]  },
+  { name: "Fusion Power"       , prereq: ["@[Nuclear Power]", "@[Super Conductor]"] },
   { name: "Genetic Engineering", prereq: ["@[Medicine]", "@[The Corporation]"]      },
+  { name: "Gunpowder"          , prereq: ["@[Invention]", "@[Iron Working]"]        },
   { name: "Horseback Riding"   , prereq: []                                         },
   { name: "Industrialization"  , prereq: ["@[Banking]", "@[Railroad]"]              },
   { name: "Invention"          , prereq: ["@[Engineering]", "@[Literacy]"]          },
   { name: "Iron Working"       , prereq: ["@[Bronze Working]"]                      },
-  { name: "Labor Union"        , prereq: ["@[Labor Union]", "@[Mass Production]"]   },
+  { name: "Labor Union"        , prereq: ["@[Mass Production]", "@[Communism]"]     },
   { name: "Literacy"           , prereq: ["@[Code of Laws]", "@[Writing]"]          },
   { name: "Magnetism"          , prereq: ["@[Navigation]", "@[Physics]"]            },
   { name: "Map Making"         , prereq: ["@[Alphabet]"]                            },
@@ -206,7 +227,7 @@ defs.technologies = [
   { name: "Navigation"         , prereq: ["@[Astronomy]", "@[Map Making]"]          },
   { name: "Nuclear Fission"    , prereq: ["@[Atomic Theory]", "@[Mass Production]"] },
   { name: "Nuclear Power"      , prereq: ["@[Electronics]", "@[Nuclear Fission]"]   },
-  { name: "Philosophy"         , prereq: ["@[Literacy]", "@[Misticism]"]            },
+  { name: "Philosophy"         , prereq: ["@[Literacy]", "@[Mysticism]"]            },
   { name: "Physics"            , prereq: ["@[Mathematics]", "@[Navigation]"]        },
   { name: "Plastics"           , prereq: ["@[Refining]", "@[Space Flight]"]         },
   { name: "Pottery"            , prereq: []                                         },
@@ -463,8 +484,63 @@ defs.rules = [
   { name: "CityMinProduction"  , value:  1, description: "Minimum production at city tile"  },
   { name: "CityMinCommerce"    , value:  1, description: "Minimum commerce at city tile"    },
 
+  { name: "FoodPerCitizen"     , value:  2, description: "Food eaten by each citizen"       },
+  { name: "FoodBoxPerSize"     , value: 10, description: "Food box size per city size"      },
+  { name: "GranaryFoodKept"    , value: 50, description: "Food kept by Granary (%)"         },
+  { name: "ProductionPenalty"  , value: 50, description: "Production lost by change (%)"    },
+
+  { name: "TechCostBase"       , value: 20, description: "Technology cost per known tech"   },
+  { name: "TechCostGrowth"     , value:  2, description: "Technology cost growth (squared)" },
+  { name: "LibraryBonus"       , value: 50, description: "Library science bonus (%)"        },
+  { name: "UniversityBonus"    , value: 50, description: "University science bonus (%)"     },
+
+  { name: "MaxRate"            , value: 60, description: "Maximum tax/science/luxury (%)"   },
+  { name: "MarketplaceBonus"   , value: 50, description: "Marketplace tax/luxury bonus (%)" },
+  { name: "BankBonus"          , value: 30, description: "Bank tax/luxury bonus (%)"        },
+  { name: "FreeUnitsPerCity"   , value:  5, description: "Units supported free per city"    },
+
+  { name: "ContentBase"        , value:  4, description: "Content citizens per city"        },
+  { name: "EmpireSize"         , value:  8, description: "Cities per extra unhappy citizen" },
+  { name: "LuxuryPerHappy"     , value:  2, description: "Luxury to make a citizen happy"   },
+  { name: "EntertainerLuxury"  , value:  2, description: "Luxury per entertainer"           },
+  { name: "TempleContent"      , value:  2, description: "Content by Temple (citizens)"     },
+  { name: "ColosseumContent"   , value:  3, description: "Content by Colosseum (citizens)"  },
+  { name: "MilitaryUnhappy"    , value:  1, description: "Unhappy per military unit abroad" },
+
+  { name: "CultureBase"        , value:  1, description: "Culture per city (per turn)"      },
+  { name: "BorderCulture"      , value: 10, description: "Culture to grow borders (x r^2)"  },
+  { name: "BorderRadiusMax"    , value:  4, description: "Maximum border radius"            },
+
+  { name: "WorkerWork"         , value:  1, description: "Work of a worker unit (per turn)" },
+  { name: "EngineerWork"       , value:  2, description: "Work of Engineers (per turn)"     },
+
+  { name: "MoveFragments"      , value:  3, description: "Move fragments per move point"    },
+  { name: "RoadMoveCost"       , value:  1, description: "Road move cost (fragments)"       },
+  { name: "RailroadMoveCost"   , value:  0, description: "Railroad move cost (fragments)"   },
+  { name: "RiverMoveCost"      , value:  1, description: "River move cost (fragments)"      },
+  { name: "RiverCrossingCost"  , value:  1, description: "River entering cost (fragments)"  },
+
   { name: "RiverCommerceBonus" , value:  1, description: "River commerce bonus (units)"     },
-  { name: "RiverDefenseBonus"  , value: 50, description: "River defense bonus (%)"          }
+  { name: "RiverDefenseBonus"  , value: 50, description: "River defense bonus (%)"          },
+
+  { name: "FortifyDefenseBonus", value: 50, description: "Fortify defense bonus (%)"        },
+  { name: "WallsDefenseBonus"  , value:200, description: "City Walls defense bonus (%)"     },
+  { name: "VeteranBonus"       , value: 50, description: "Veteran strength bonus (%)"       },
+  { name: "VeteranChance"      , value: 50, description: "Chance to become veteran (%)"     },
+  { name: "UnitHealRate"       , value:  1, description: "Hit points healed per turn"       },
+
+  { name: "ScoreCitizen"       , value:  1, description: "Score of a citizen"               },
+  { name: "ScoreTechnology"    , value:  2, description: "Score of a technology"            },
+  { name: "ScoreWonder"        , value:  5, description: "Score of a wonder"                },
+  { name: "CulturePerScore"    , value: 50, description: "Culture needed for 1 score"       },
+
+  { name: "CeasefireTurns"     , value: 16, description: "Turns until a ceasefire expires"  },
+  { name: "AttitudeTreaty"     , value: 10, description: "Attitude gain by a treaty"        },
+  { name: "AttitudeGift"       , value: 10, description: "Attitude gain by a gift"          },
+  { name: "AttitudeWar"        , value: 30, description: "Attitude loss of a war victim"    },
+  { name: "AttitudeViolation"  , value: 20, description: "Attitude loss by broken treaty"   },
+
+  { name: "CitySight"          , value:  2, description: "Sight radius of a city"           }
 ];
 
 $export[$as] = defs;
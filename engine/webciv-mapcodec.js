@@ -0,0 +1,447 @@
+// [WebCiv]
+// A Strategy Game Engine in JavaScript.
+//
+// [License]
+// MIT - See LICENSE.md file in the package.
+(function(core, $export, $as) {
+"use strict";
+
+const FAILED = core.FAILED;
+const TerrainModifier = core.TerrainModifier;
+
+const mapcodec = Object.create(null);
+
+// ============================================================================
+// [Format]
+// ============================================================================
+
+// Binary map format (all numbers are little endian):
+//
+//   [Header]
+//     u8[4] Magic        - "WCMP".
+//     u8    Version      - Format version, see `kVersion`.
+//     u8    Flags        - Map flags, see `kFlagFlipX` and `kFlagFlipY`.
+//     u16   Width        - Map width (in tiles).
+//     u16   Height       - Map height (in tiles).
+//     u8    PlaneCount   - Number of planes that follow.
+//
+//   [Plane] (repeated `PlaneCount` times)
+//     u8    PlaneId      - Plane id, see `Planes`.
+//     u8    ElementSize  - Size of one element (1 or 2 bytes).
+//     u32   DataSize     - Size of the compressed data (in bytes).
+//     u8[]  Data         - Compressed data, see `compress()`.
+//
+// Each plane stores one property of all tiles in row-major order. Unknown
+// planes are skipped by the decoder, which makes it possible to add more
+// planes without breaking older decoders.
+
+const kMagic = [0x57, 0x43, 0x4D, 0x50];
+const kVersion = 1;
+const kHeaderSize = 11;
+
+const kFlagFlipX = 0x01;
+const kFlagFlipY = 0x02;
+
+/**
+ * Planes stored in a binary map.
+ *
+ * Values that use `-1` as "none" (resource and territory) are stored biased
+ * by one so they fit into unsigned integers. The river is stored in its own
+ * plane and not as a part of modifiers as it's not a terrain improvement - 0
+ * means no river, 1 a river of unknown flow, and `2 + riverFlow` a river that
+ * flows in the direction `riverFlow` (see `GameTile.riverFlow`).
+ */
+const Planes = Object.freeze([
+  Object.freeze({ id: 0, name: "id"       , size: 1, bias: 0 }),
+  Object.freeze({ id: 1, name: "modifiers", size: 2, bias: 0 }),
+  Object.freeze({ id: 2, name: "resource" , size: 2, bias: 1 }),
+  Object.freeze({ id: 3, name: "territory", size: 1, bias: 1 }),
+  Object.freeze({ id: 4, name: "river"    , size: 1, bias: 0 })
+]);
+mapcodec.Planes = Planes;
+
+// ============================================================================
+// [Compression]
+// ============================================================================
+
+/**
+ * Compress `src` (array of integers) by using a run-length encoding similar
+ * to PackBits, extended to elements of `size` bytes:
+ *
+ *   - Control byte `0..127` - `n + 1` literal elements follow.
+ *   - Control byte `128..255` - the element that follows repeats `n - 126` times.
+ */
+function compress(src, size) {
+  const len = src.length;
+  const out = [];
+
+  function emit(value) {
+    out.push(value & 0xFF);
+    if (size === 2) out.push((value >>> 8) & 0xFF);
+  }
+
+  var i = 0;
+  while (i < len) {
+    // Count the run starting at `i`.
+    var run = 1;
+    while (i + run < len && run < 129 && src[i + run] === src[i])
+      run++;
+
+    if (run >= 2) {
+      out.push(run + 126);
+      emit(src[i]);
+      i += run;
+      continue;
+    }
+
+    // Collect literals until the next run of at least two elements.
+    var n = 1;
+    while (i + n < len && n < 128 && !(i + n + 1 < len && src[i + n] === src[i + n + 1]))
+      n++;
+
+    out.push(n - 1);
+    for (var j = 0; j < n; j++)
+      emit(src[i + j]);
+    i += n;
+  }
+
+  return out;
+}
+mapcodec.compress = compress;
+
+/**
+ * Decompress data compressed by `compress()` into `dst` (typed array).
+ */
+function decompress(bytes, start, end, size, dst) {
+  const count = dst.length;
+
+  var p = start;
+  var i = 0;
+
+  function read() {
+    if (p + size > end)
+      FAILED(`Binary map data is truncated`);
+
+    var value = bytes[p++];
+    if (size === 2) value |= bytes[p++] << 8;
+    return value;
+  }
+
+  while (p < end) {
+    const ctrl = bytes[p++];
+    const n = ctrl < 128 ? ctrl + 1 : ctrl - 126;
+
+    if (i + n > count)
+      FAILED(`Binary map data overflows the map`);
+
+    if (ctrl < 128) {
+      for (var j = 0; j < n; j++)
+        dst[i++] = read();
+    }
+    else {
+      const value = read();
+      for (var j = 0; j < n; j++)
+        dst[i++] = value;
+    }
+  }
+
+  if (i !== count)
+    FAILED(`Binary map data is incomplete (${i} of ${count} tiles)`);
+
+  return dst;
+}
+mapcodec.decompress = decompress;
+
+// ============================================================================
+// [Encode / Decode]
+// ============================================================================
+
+/**
+ * Encode a map into the binary format.
+ *
+ * @param {GameMap|object} map Either a `GameMap` or data returned by
+ *   `GameMap.serialize()`.
+ *
+ * @return {Uint8Array} Encoded map.
+ */
+function encode(map) {
+  const data = typeof map.serialize === "function" ? map.serialize() : map;
+
+  const w = data.w;
+  const h = data.h;
+  const size = w * h;
+  const tiles = data.tiles;
+
+  if (w <= 0 || h <= 0 || w > 0xFFFF || h > 0xFFFF)
+    FAILED(`Map of size '${w}x${h}' cannot be encoded`);
+
+  // Split river from other modifiers, see `Planes`.
+  const river = new Array(size);
+  const modifiers = new Array(size);
+  const riverFlow = tiles.riverFlow || null;
+
+  for (var i = 0; i < size; i++) {
+    const m = tiles.modifiers[i];
+    river[i] = (m & TerrainModifier.kRiver) ? (riverFlow ? riverFlow[i] : -1) + 2 : 0;
+    modifiers[i] = m & ~TerrainModifier.kRiver;
+  }
+
+  const sources = {
+    id       : tiles.id,
+    modifiers: modifiers,
+    resource : tiles.resource,
+    territory: tiles.territory,
+    river    : river
+  };
+
+  const chunks = [];
+  var total = kHeaderSize;
+
+  for (var p = 0; p < Planes.length; p++) {
+    const plane = Planes[p];
+    const src = sources[plane.name];
+    const max = plane.size === 1 ? 0xFF : 0xFFFF;
+
+    const values = new Array(size);
+    for (var i = 0; i < size; i++) {
+      const value = src[i] + plane.bias;
+      if (value < 0 || value > max)
+        FAILED(`Map '${plane.name}' value '${src[i]}' at [${i % w}, ${Math.floor(i / w)}] cannot be encoded`);
+      values[i] = value;
+    }
+
+    const compressed = compress(values, plane.size);
+    chunks.push({ plane: plane, data: compressed });
+    total += 6 + compressed.length;
+  }
+
+  const out = new Uint8Array(total);
+  var o = 0;
+
+  for (var i = 0; i < kMagic.length; i++)
+    out[o++] = kMagic[i];
+
+  out[o++] = kVersion;
+  out[o++] = (data.flipX ? kFlagFlipX : 0) | (data.flipY ? kFlagFlipY : 0);
+  out[o++] = w & 0xFF; out[o++] = w >>> 8;
+  out[o++] = h & 0xFF; out[o++] = h >>> 8;
+  out[o++] = chunks.length;
+
+  for (var c = 0; c < chunks.length; c++) {
+    const chunk = chunks[c];
+    const len = chunk.data.length;
+
+    out[o++] = chunk.plane.id;
+    out[o++] = chunk.plane.size;
+    out[o++] = len & 0xFF;
+    out[o++] = (len >>> 8) & 0xFF;
+    out[o++] = (len >>> 16) & 0xFF;
+    out[o++] = (len >>> 24) & 0xFF;
+
+    out.set(chunk.data, o);
+    o += len;
+  }
+
+  return out;
+}
+mapcodec.encode = encode;
+
+/**
+ * Decode a map from the binary format.
+ *
+ * @param {Uint8Array} bytes Encoded map.
+ *
+ * @return {object} Map data compatible with `GameMap.deserialize()`.
+ */
+function decode(bytes) {
+  const len = bytes.length;
+
+  if (len < kHeaderSize)
+    FAILED(`Binary map data is too short`);
+
+  for (var i = 0; i < kMagic.length; i++)
+    if (bytes[i] !== kMagic[i])
+      FAILED(`Binary map data has an invalid signature`);
+
+  const version = bytes[4];
+  if (version > kVersion)
+    FAILED(`Binary map version '${version}' not supported`);
+
+  const flags = bytes[5];
+  const w = bytes[6] | (bytes[7] << 8);
+  const h = bytes[8] | (bytes[9] << 8);
+  const planeCount = bytes[10];
+  const size = w * h;
+
+  if (size === 0)
+    FAILED(`Binary map has an invalid size '${w}x${h}'`);
+
+  const planes = Object.create(null);
+  var p = kHeaderSize;
+
+  for (var n = 0; n < planeCount; n++) {
+    if (p + 6 > len)
+      FAILED(`Binary map data is truncated`);
+
+    const id = bytes[p];
+    const elementSize = bytes[p + 1];
+    const dataSize = (bytes[p + 2] | (bytes[p + 3] << 8) | (bytes[p + 4] << 16) | (bytes[p + 5] << 24)) >>> 0;
+
+    const start = p + 6;
+    const end = start + dataSize;
+
+    if (end > len)
+      FAILED(`Binary map data is truncated`);
+
+    if (elementSize !== 1 && elementSize !== 2)
+      FAILED(`Binary map plane #${id} has an invalid element size '${elementSize}'`);
+
+    const plane = Planes[id];
+    if (plane) {
+      const dst = elementSize === 1 ? new Uint8Array(size) : new Uint16Array(size);
+      planes[plane.name] = decompress(bytes, start, end, elementSize, dst);
+    }
+
+    p = end;
+  }
+
+  for (var i = 0; i < Planes.length; i++)
+    if (!planes[Planes[i].name])
+      FAILED(`Binary map doesn't contain '${Planes[i].name}' plane`);
+
+  const tiles = {
+    id       : new Array(size),
+    modifiers: new Array(size),
+    resource : new Array(size),
+    territory: new Array(size),
+    riverFlow: new Array(size)
+  };
+
+  for (var i = 0; i < size; i++) {
+    tiles.id[i]        = planes.id[i];
+    tiles.modifiers[i] = planes.modifiers[i] | (planes.river[i] ? TerrainModifier.kRiver : 0);
+    tiles.resource[i]  = planes.resource[i] - 1;
+    tiles.territory[i] = planes.territory[i] - 1;
+    tiles.riverFlow[i] = planes.river[i] >= 2 ? planes.river[i] - 2 : -1;
+  }
+
+  return {
+    w    : w,
+    h    : h,
+    flipX: (flags & kFlagFlipX) !== 0,
+    flipY: (flags & kFlagFlipY) !== 0,
+    tiles: tiles
+  };
+}
+mapcodec.decode = decode;
+
+// ============================================================================
+// [Base64]
+// ============================================================================
+
+const kBase64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const kBase64Url = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+// Maps a character code to its 6-bit value, accepts both alphabets.
+const kBase64Lookup = (function() {
+  const lookup = new Int8Array(128).fill(-1);
+  for (var i = 0; i < 64; i++) {
+    lookup[kBase64.charCodeAt(i)] = i;
+    lookup[kBase64Url.charCodeAt(i)] = i;
+  }
+  return lookup;
+})();
+
+/**
+ * Convert `bytes` to a base64 string.
+ *
+ * If `urlSafe` is true the URL-safe alphabet is used and the padding is
+ * omitted, so the result can be used in URLs without escaping.
+ */
+function toBase64(bytes, urlSafe) {
+  const alphabet = urlSafe ? kBase64Url : kBase64;
+  const len = bytes.length;
+
+  var s = "";
+  var i = 0;
+
+  while (i + 2 < len) {
+    const v = (bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2];
+    s += alphabet[(v >>> 18) & 63] + alphabet[(v >>> 12) & 63] +
+         alphabet[(v >>>  6) & 63] + alphabet[v & 63];
+    i += 3;
+  }
+
+  const remain = len - i;
+  if (remain === 1) {
+    const v = bytes[i] << 16;
+    s += alphabet[(v >>> 18) & 63] + alphabet[(v >>> 12) & 63];
+    if (!urlSafe) s += "==";
+  }
+  else if (remain === 2) {
+    const v = (bytes[i] << 16) | (bytes[i + 1] << 8);
+    s += alphabet[(v >>> 18) & 63] + alphabet[(v >>> 12) & 63] + alphabet[(v >>> 6) & 63];
+    if (!urlSafe) s += "=";
+  }
+
+  return s;
+}
+mapcodec.toBase64 = toBase64;
+
+/**
+ * Convert a base64 string (standard or URL-safe, padded or not) to bytes.
+ */
+function fromBase64(s) {
+  if (typeof s !== "string")
+    FAILED(`Base64 data must be a string, not ${typeof s}`);
+
+  var len = s.length;
+  while (len > 0 && s.charCodeAt(len - 1) === 0x3D)
+    len--;
+
+  if (len % 4 === 1)
+    FAILED(`Base64 data has an invalid length`);
+
+  const out = new Uint8Array(Math.floor(len * 3 / 4));
+  var o = 0;
+  var acc = 0;
+  var bits = 0;
+
+  for (var i = 0; i < len; i++) {
+    const c = s.charCodeAt(i);
+    const v = c < 128 ? kBase64Lookup[c] : -1;
+
+    if (v === -1)
+      FAILED(`Base64 data contains an invalid character '${s[i]}'`);
+
+    acc = (acc << 6) | v;
+    bits += 6;
+
+    if (bits >= 8) {
+      bits -= 8;
+      out[o++] = (acc >>> bits) & 0xFF;
+    }
+  }
+
+  return out;
+}
+mapcodec.fromBase64 = fromBase64;
+
+/**
+ * Encode a map into a base64 string, see `encode()` and `toBase64()`.
+ */
+mapcodec.encodeBase64 = function(map, urlSafe) {
+  return toBase64(encode(map), urlSafe);
+};
+
+/**
+ * Decode a map from a base64 string, see `decode()` and `fromBase64()`.
+ */
+mapcodec.decodeBase64 = function(s) {
+  return decode(fromBase64(s));
+};
+
+$export[$as] = mapcodec;
+
+}).apply(null, typeof this.webciv === "object"
+  ? [this.webciv, this.webciv, "mapcodec"] : [require("./webciv-core"), module, "exports"]);
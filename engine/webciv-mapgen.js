@@ -29,6 +29,16 @@ const mapgen = Object.create(null);
  * be reimplemented to provide different styles of continents. River placement
  * and various terrain generation is implemented here, but can be overridden as
  * well.
+ *
+ * Terrain is assigned by a climate model - each tile has a temperature based
+ * on its latitude and elevation, and rainfall brought by prevailing winds from
+ * the ocean, which drops on mountains and leaves a rain shadow behind them.
+ *
+ * Options common to all generators:
+ *   - `hills` - Percentage of land turned into hills (12).
+ *   - `mountains` - Percentage of land turned into mountains (6).
+ *   - `temperature` - World temperature from cold to hot [-1, 1] (0).
+ *   - `wetness` - World wetness from arid to wet [-1, 1] (0).
  */
 class BaseMapGen {
   constructor(game, info) {
@@ -39,6 +49,19 @@ class BaseMapGen {
     this.rivers = info.rivers || 0;
     this.landSize = Math.max(info.landSize || 0, 10);
     this.landMass = Math.max(info.landMass || 0, 100);
+
+    this.hills = GameUtils.clamp(info.hills != null ? info.hills : 12, 0, 100);
+    this.mountains = GameUtils.clamp(info.mountains != null ? info.mountains : 6, 0, 100);
+    this.temperature = GameUtils.clamp(+info.temperature || 0, -1, 1);
+    this.wetness = GameUtils.clamp(+info.wetness || 0, -1, 1);
+
+    // Elevation of each tile in [0, 1] range, provided by generators that work
+    // with a heightmap (land is above `seaLevel`), estimated otherwise.
+    this.elevation = null;
+    this.seaLevel = 0;
+
+    this.temperatureMap = null;            // Temperature of each tile [0, 1].
+    this.rainfallMap = null;               // Rainfall of each tile [0, 1].
   }
 
   /**
@@ -49,6 +72,8 @@ class BaseMapGen {
     map.supressNotifications++;
 
     this.generateContinents();
+    this.generateRelief();
+    this.generateClimate();
     this.generateRivers();
     this.generateTerrain();
 
@@ -65,32 +90,169 @@ class BaseMapGen {
     FAILED(`Abstract method called`);
   }
 
+  /**
+   * Turn the highest land into mountains and hills. If the generator didn't
+   * provide `elevation` it's estimated from the distance to the ocean.
+   */
+  generateRelief() {
+    const map = this.map;
+    const tiles = map.tiles;
+
+    if (this.elevation === null)
+      this.elevation = this.estimateElevation();
+
+    const elevation = this.elevation;
+    const land = [];
+    var i;
+
+    for (i = 0; i < tiles.length; i++)
+      if (tiles[i].id !== TerrainType.Ocean)
+        land.push(elevation[i]);
+    land.sort(function(a, b) { return b - a; });
+
+    const mountainLevel = levelOf(land, this.mountains);
+    const hillLevel = levelOf(land, this.mountains + this.hills);
+
+    for (i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (!this.canChangeTerrain(tile))
+        continue;
+
+      const e = elevation[i];
+      if (e > hillLevel)
+        map.setTileId(tile.x, tile.y, e > mountainLevel ? TerrainType.Mountains : TerrainType.Hills);
+    }
+  }
+
+  /**
+   * Estimate elevation of land from its distance to the ocean.
+   *
+   * @return {Float32Array} Elevation of each tile in [0, 1] range.
+   */
+  estimateElevation() {
+    const tiles = this.map.tiles;
+    const elevation = new Float32Array(tiles.length);
+
+    for (var i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (tile.id !== TerrainType.Ocean)
+        elevation[i] = Math.min(tile.deepness, 6) / 6 * 0.7 + this.random.drand(0.3);
+    }
+
+    this.seaLevel = 0;
+    return elevation;
+  }
+
+  /**
+   * Calculate temperature and rainfall of each tile.
+   */
+  generateClimate() {
+    const map = this.map;
+    const w = map.w;
+    const h = map.h;
+
+    const tiles = map.tiles;
+    const elevation = this.elevation;
+    const seaLevel = this.seaLevel;
+
+    const temperatureMap = new Float32Array(w * h);
+    const rainfallMap = new Float32Array(w * h);
+
+    const equator = (h - 1) / 2;
+
+    for (var y = 0; y < h; y++) {
+      // Latitude, 0 at the equator and 1 at the poles.
+      const lat = equator > 0 ? Math.abs(y - equator) / equator : 0;
+
+      // Wet tropics, dry subtropics, wet temperate zone and dry poles.
+      const zone = 0.7 + 0.3 * Math.cos(lat * Math.PI * 3);
+
+      for (var x = 0; x < w; x++) {
+        const i = y * w + x;
+        const altitude = Math.max(elevation[i] - seaLevel, 0) / Math.max(1 - seaLevel, 0.001);
+
+        temperatureMap[i] = GameUtils.clamp(1 - (lat + lat * lat) * 0.5 - altitude * 0.3 + this.temperature * 0.15 + this.random.drand(0.1) - 0.05, 0, 1);
+      }
+
+      // Trade winds and polar winds blow from the east, westerlies from the
+      // west. The moisture is picked up over the ocean and drops over land,
+      // mostly on hills and mountains, which leave a rain shadow behind them.
+      const dx = lat > 1 / 3 && lat < 2 / 3 ? 1 : -1;
+
+      var start = 0;
+      while (start < w && tiles[y * w + start].id !== TerrainType.Ocean)
+        start++;
+
+      var moisture = start < w ? 1 : 0.5;
+      if (start === w) start = 0;
+
+      for (var k = 0; k < w; k++) {
+        const x = GameUtils.repeat(start + k * dx, w);
+        const i = y * w + x;
+        const id = tiles[i].id;
+
+        if (id === TerrainType.Ocean) {
+          moisture = 1;
+          continue;
+        }
+
+        var rain = moisture;
+        if (id === TerrainType.Mountains) {
+          rain *= 1.2;
+          moisture *= 0.4;
+        }
+        else if (id === TerrainType.Hills) {
+          rain *= 1.1;
+          moisture *= 0.75;
+        }
+        else {
+          moisture *= 0.95;
+        }
+
+        rainfallMap[i] = GameUtils.clamp(rain * zone + this.wetness * 0.2 + this.random.drand(0.1) - 0.05, 0, 1);
+      }
+    }
+
+    this.temperatureMap = temperatureMap;
+    this.rainfallMap = rainfallMap;
+  }
+
   /**
    * Generate rivers.
+   *
+   * Rivers start at the highest and wettest tiles far enough from the ocean
+   * and other rivers, and flow downhill, see `placeRiver()`. The number of
+   * rivers is given by `rivers`, or derived from the land mass if not given.
    */
   generateRivers() {
     const map = this.map;
-    const continents = map.continents;
-
-    const n = 2;
-    const maxUnsuccessfulTries = 15;
-
-    for (var continentId = 0; continentId < continents.length; continentId++) {
-      const continent = continents[continentId];
-      var numRivers = 0;
-      var unsuccessful = 0;
-
-      do {
-        const r = this.random.irand(continent.size) * 2;
-        const x = continent.coords[r + 0];
-        const y = continent.coords[r + 1];
-
-        const tile = map.getTile(x, y);
-        if (tile.id !== TerrainType.Ocean && this.isIdealForRiverPlacement(x, y, n))
-          numRivers += this.placeRiver(x, y);
-        else
-          unsuccessful++;
-      } while (unsuccessful < maxUnsuccessfulTries);
+    const tiles = map.tiles;
+
+    const elevation = this.elevation;
+    const rainfallMap = this.rainfallMap;
+
+    const sources = [];
+    var i;
+
+    for (i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (tile.id !== TerrainType.Ocean && tile.deepness >= 3)
+        sources.push({ tile: tile, score: elevation[i] + rainfallMap[i] + this.random.drand(0.5) });
+    }
+    sources.sort(function(a, b) { return b.score - a.score; });
+
+    const count = this.rivers || Math.round(this.calcLandMass() / 40);
+    var numRivers = 0;
+
+    for (i = 0; i < sources.length && numRivers < count; i++) {
+      const tile = sources[i].tile;
+
+      // Deepness changes when a river forms a lake.
+      if (tile.deepness < 3)
+        continue;
+
+      if (this.isIdealForRiverPlacement(tile.x, tile.y, 2) && this.placeRiver(tile.x, tile.y) > 0)
+        numRivers++;
     }
   }
 
@@ -145,131 +307,117 @@ class BaseMapGen {
     return full >= 2;
   }
 
+  /**
+   * Place a river starting at [x, y], which follows the steepest descent
+   * towards the ocean - it flows to a side tile closer to the ocean (see
+   * `GameTile.deepness`) having the lowest elevation, or along the coast if
+   * there is no such tile. The river ends when it reaches the ocean or joins
+   * another river, and forms a lake where it gets stuck.
+   *
+   * @return {number} Number of river tiles placed.
+   */
   placeRiver(x, y) {
     const map = this.map;
     const w = map.w;
-    const h = map.h;
+    const tiles = map.tiles;
+    const elevation = this.elevation;
 
-    var size = 1;
-    var path = new Set();
-    var dir = this.random.irand(4);
+    const path = new Set();
+    var size = 0;
 
     for (;;) {
-      const tile = map.getTile(x, y);
+      const pos = y * w + x;
+      const tile = tiles[pos];
 
-      // Check if we are near ocean and stop in such case.
-      const top    = map.getTileSafe(x, y - 1);
-      const left   = map.getTileSafe(x - 1, y);
-      const bottom = map.getTileSafe(x, y + 1);
-      const right  = map.getTileSafe(x + 1, y);
+      tile.modifiers |= TerrainModifier.kRiver;
+      path.add(pos);
+      size++;
 
-      if (top   .id === TerrainType.Ocean || left .id === TerrainType.Ocean ||
-          bottom.id === TerrainType.Ocean || right.id === TerrainType.Ocean) {
-        tile.modifiers |= TerrainModifier.kRiver;
-        return size;
-      }
+      var dir = -1;
+      var best = Infinity;
 
-      // Check if we are close to another river (not generated by us).
-      if (((top   .modifiers & TerrainModifier.kRiver) !== 0 && !path.has(top   .y * w + top   .x)) ||
-          ((left  .modifiers & TerrainModifier.kRiver) !== 0 && !path.has(left  .y * w + left  .x)) ||
-          ((bottom.modifiers & TerrainModifier.kRiver) !== 0 && !path.has(bottom.y * w + bottom.x)) ||
-          ((right .modifiers & TerrainModifier.kRiver) !== 0 && !path.has(right .y * w + right .x))) {
-        tile.modifiers |= TerrainModifier.kRiver;
-        return size;
-      }
+      for (var i = 0; i < Sides.length; i++) {
+        const nx = map.normX(x + Sides[i].x);
+        const ny = map.normY(y + Sides[i].y);
+        const npos = ny * w + nx;
 
-      // Move in random direction. However, if the move would terminate the
-      // river (it's a tile near ocean) try to find some other tile instead.
-      dir = (dir + this.random.irand(3) - 1) & 3;
-
-      if (this.willTerminateRiver(x, y, Sides[dir].x, Sides[dir].y)) {
-        const probability = size <  5 ? 1.00 :
-                            size < 10 ? 0.80 :
-                            size < 20 ? 0.50 : 0.2;
-        if (this.random.drand() < probability) {
-          for (var i = 0; i < Sides.length; i++) {
-            const alt = (dir + i) & 3;
-            if (!this.willTerminateRiver(x, y, Sides[alt].x, Sides[alt].y)) {
-              dir = alt;
-              break;
-            }
-          }
+        // Clipped coordinate or the river's own tile.
+        if (path.has(npos))
+          continue;
+
+        const n = tiles[npos];
+        if (n.id === TerrainType.Ocean) {
+          dir = i;
+          break;
+        }
+
+        if (n.deepness > tile.deepness || (n.deepness === tile.deepness && elevation[npos] >= elevation[pos]))
+          continue;
+
+        const score = elevation[npos] + (n.deepness === tile.deepness ? 1 : 0);
+        if (score < best) {
+          best = score;
+          dir = i;
         }
       }
 
-      path.add(y * w + x, true);
+      if (dir === -1) {
+        tile.modifiers &= ~TerrainModifier.kRiver;
+        tile.riverFlow = -1;
+        size--;
 
-      if ((tile.modifiers & TerrainModifier.kRiver) === 0) {
-        tile.modifiers |= TerrainModifier.kRiver;
-        size++;
+        // A river cannot start in a lake. The lake changes deepness of tiles
+        // around, which the next rivers use to find their way.
+        if (size > 0) {
+          map.setTileId(x, y, TerrainType.Ocean);
+          map.recalc();
+        }
+        return size;
       }
 
+      tile.riverFlow = dir;
       x = map.normX(x + Sides[dir].x);
       y = map.normY(y + Sides[dir].y);
+
+      const next = tiles[y * w + x];
+      if (next.id === TerrainType.Ocean || (next.modifiers & TerrainModifier.kRiver) !== 0)
+        return size;
     }
   }
 
-  willTerminateRiver(rx, ry, dx, dy) {
+  /**
+   * Generate terrain based on the climate, see `generateClimate()`.
+   */
+  generateTerrain() {
     const map = this.map;
+    const tiles = map.tiles;
 
-    const x = map.normX(rx, dx);
-    const y = map.normY(ry, dy);
-
-    if (x === rx && y === ry)
-      return true;
-
-    for (var i = 0; i < Sides.length; i++) {
-      const px = x + Sides[i].x;
-      const py = y + Sides[i].y;
-      const tile = map.getTileSafe(px, py);
-
-      if (tile.id === TerrainType.Ocean || (tile.modifiers & TerrainModifier.kRiver) !== 0)
-        return true;
+    for (var i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      if (this.canChangeTerrain(tile))
+        map.setTileId(tile.x, tile.y, this.getClimateTerrain(i));
     }
-
-    return false;
   }
 
   /**
-   * Generate terrain.
+   * Get terrain matching the climate of the tile at `index`.
    */
-  generateTerrain() {
-    const map = this.map;
-    const w = map.w;
-    const h = map.h;
+  getClimateTerrain(index) {
+    const t = this.temperatureMap[index];
+    const r = this.rainfallMap[index];
 
-    const mid = Math.floor(h / 2);
+    if (t < 0.25) return TerrainType.Arctic;
+    if (t < 0.40) return TerrainType.Tundra;
 
-    for (var y = 0; y < h; y++) {
-      const distanceFromPole = Math.min(y, h - 1 - y);
-      const distanceFromMid  = Math.abs(y - mid);
+    if (r < 0.20) return TerrainType.Desert;
+    if (r < 0.40) return TerrainType.Plains;
+    if (r < 0.60) return TerrainType.Grassland;
 
-      for (var x = 0; x < w; x++) {
-        const tile = map.tiles[y * w + x];
-        if (this.canChangeTerrain(tile)) {
-          if (this.random.drand() < 0.2) {
-            const r = this.random.drand();
-
-            if (distanceFromPole < 8) {
-              if (r < 0.4)
-                this.placeTerrain(x, y, TerrainType.Arctic, this.random.irand(3) + 3);
-            }
-            else if (distanceFromMid < 6) {
-              if (r < 0.7)
-                this.placeTerrain(x, y, TerrainType.Desert, this.random.irand(9) + 2);
-              else
-                this.placeTerrain(x, y, TerrainType.Plains, this.random.irand(9) + 2);
-            }
-            else {
-              if (r < 0.7)
-                this.placeTerrain(x, y, TerrainType.Plains, this.random.irand(9) + 3);
-              else
-                this.placeTerrain(x, y, TerrainType.Jungle, this.random.irand(8) + 4);
-            }
-          }
-        }
-      }
-    }
+    // Wet lowland close to the sea turns into swamps.
+    if (r > 0.85 && this.map.tiles[index].deepness <= 1)
+      return TerrainType.Swamp;
+
+    return t > 0.7 ? TerrainType.Jungle : TerrainType.Forest;
   }
 
   placeTerrain(x, y, id, numIterations) {
@@ -434,8 +582,391 @@ class SimpleMapGen extends BaseMapGen {
 }
 mapgen.SimpleMapGen = SimpleMapGen;
 
+// ============================================================================
+// [mapgen.FractalMapGen]
+// ============================================================================
+
+/**
+ * Fractal map generator.
+ *
+ * Builds a heightmap from several octaves of value noise seeded by `random`,
+ * turns the highest `landPercent` of tiles into land, which is then shaped
+ * into mountains and hills by `generateRelief()`. The noise wraps horizontally
+ * and the land fades out towards the poles.
+ *
+ * If `continents` is given the map is split into that many regions of random
+ * size, each raising land around its center, so the noise only shapes their
+ * coastlines. See `mapgen.presets` for styles of maps built on top of it.
+ *
+ * Additional options:
+ *   - `landPercent` - Percentage of the map covered by land [5, 70] (30).
+ *   - `octaves` - Number of noise octaves [1, 8] (5).
+ *   - `roughness` - Amplitude of each next octave [0.1, 0.9] (0.5).
+ *   - `continents` - Number of continents [0, 64], 0 means any (0).
+ *   - `oceanGap` - Minimum ocean tiles between continents [0, 8] (0).
+ *   - `inlandSea` - Sink the center of the continent(s) into a sea (false).
+ *   - `players` - Number of players the map is generated for (0).
+ *   - `continentPerPlayer` - Guarantee at least `players` continents large
+ *     enough for a city, fails if the map is too small for them (false).
+ *     Start locations are then placed on separate continents, see
+ *     `StartPlacement`.
+ */
+class FractalMapGen extends BaseMapGen {
+  constructor(game, info) {
+    super(game, info);
+
+    this.landPercent = GameUtils.clamp(info.landPercent || 30, 5, 70);
+    this.octaves = GameUtils.clamp(Math.floor(info.octaves) || 5, 1, 8);
+    this.roughness = GameUtils.clamp(info.roughness || 0.5, 0.1, 0.9);
+
+    this.continents = GameUtils.clamp(Math.floor(info.continents) || 0, 0, 64);
+    this.oceanGap = GameUtils.clamp(Math.floor(info.oceanGap) || 0, 0, 8);
+    this.inlandSea = Boolean(info.inlandSea);
+    this.players = Math.max(Math.floor(info.players) || 0, 0);
+    this.continentPerPlayer = Boolean(info.continentPerPlayer);
+
+    if (this.continentPerPlayer) {
+      if (this.players === 0)
+        FAILED(`Option 'continentPerPlayer' requires the number of 'players'`);
+      this.continents = Math.max(this.continents, this.players);
+    }
+
+    this.regions = null;                   // Region of each tile (if `continents`).
+    this.centers = [];                     // Centers of regions `{ x, y, radius }`.
+  }
+
+  /** @overriden */
+  generateContinents() {
+    const map = this.map;
+    const w = map.w;
+    const h = map.h;
+
+    if (h < 8)
+      FAILED(`Map '${w}x${h}' is too small`);
+
+    const elevation = this.generateHeightmap();
+    this.elevation = elevation;
+
+    if (this.continents)
+      this.generateRegions(elevation);
+
+    // Rows close to the poles are always ocean.
+    const minY = 2;
+    const maxY = h - 2;
+
+    const land = [];
+    var x, y;
+
+    for (y = minY; y < maxY; y++)
+      for (x = 0; x < w; x++)
+        land.push(elevation[y * w + x]);
+    land.sort(function(a, b) { return b - a; });
+
+    const numLand = Math.max(Math.floor(w * h * this.landPercent / 100), 1);
+    this.seaLevel = land[Math.min(numLand, land.length) - 1];
+
+    for (y = 0; y < h; y++) {
+      for (x = 0; x < w; x++) {
+        const isLand = y >= minY && y < maxY && elevation[y * w + x] >= this.seaLevel;
+        map.setTileId(x, y, isLand ? TerrainType.Grassland : TerrainType.Ocean);
+      }
+    }
+
+    if (this.regions !== null && this.centers.length > 1 && this.oceanGap)
+      this.separateRegions();
+
+    map.recalc();
+
+    if (this.continentPerPlayer)
+      this.ensureContinents(this.players);
+  }
+
+  /**
+   * Split the map into `continents` regions and raise `elevation` around their
+   * centers. Each tile is assigned to the region that raised it the most.
+   */
+  generateRegions(elevation) {
+    const w = this.map.w;
+    const h = this.map.h;
+
+    const n = this.continents;
+    const centers = this.centers;
+    const regions = new Int32Array(w * h);
+
+    // Random size of each region, the total area matches the requested land.
+    const sizes = [];
+    var total = 0;
+    var i, x, y;
+
+    for (i = 0; i < n; i++) {
+      sizes.push(0.5 + this.random.drand());
+      total += sizes[i];
+    }
+
+    const area = w * h * this.landPercent / 100;
+    centers.length = 0;
+
+    // Best candidate sampling - centers are placed as far from each other as
+    // possible, the largest regions first.
+    sizes.sort(function(a, b) { return b - a; });
+    for (i = 0; i < n; i++) {
+      var best = null;
+      var bestDistance = -1;
+
+      for (var j = 0; j < 20; j++) {
+        const cx = this.random.irand(w);
+        const cy = n === 1 ? Math.floor(h / 2) : Math.floor(h * 0.2 + this.random.drand(h * 0.6));
+
+        var d = Infinity;
+        for (var k = 0; k < centers.length; k++)
+          d = Math.min(d, this.$distance(cx, cy, centers[k].x, centers[k].y));
+
+        if (d > bestDistance) {
+          best = { x: cx, y: cy, radius: Math.sqrt(area * sizes[i] / total / Math.PI) * 1.5 };
+          bestDistance = d;
+        }
+      }
+
+      centers.push(best);
+    }
+
+    for (y = 0; y < h; y++) {
+      for (x = 0; x < w; x++) {
+        const pos = y * w + x;
+
+        // The noise distorts the distance so regions aren't circular.
+        const distortion = (0.5 - elevation[pos]) * 0.8;
+
+        var mask = 0;
+        var region = 0;
+
+        for (i = 0; i < n; i++) {
+          const center = centers[i];
+          const t = GameUtils.clamp(this.$distance(x, y, center.x, center.y) / center.radius + distortion, 0, 1);
+
+          var m = 1 - smoothStep(t);
+          if (this.inlandSea)
+            m *= smoothStep(GameUtils.clamp((t - 0.25) / 0.3, 0, 1));
+
+          if (m > mask) {
+            mask = m;
+            region = i;
+          }
+        }
+
+        regions[pos] = region;
+        elevation[pos] = (elevation[pos] + mask) * 0.5;
+      }
+    }
+
+    this.regions = regions;
+    normalize(elevation);
+  }
+
+  /**
+   * Turn land closer than `oceanGap` tiles to land of another region into
+   * ocean, so continents never touch each other.
+   */
+  separateRegions() {
+    const map = this.map;
+    const w = map.w;
+    const h = map.h;
+
+    const tiles = map.tiles;
+    const regions = this.regions;
+    const gap = this.oceanGap;
+    const remove = [];
+
+    for (var y = 0; y < h; y++) {
+      for (var x = 0; x < w; x++) {
+        const pos = y * w + x;
+        if (tiles[pos].id === TerrainType.Ocean)
+          continue;
+
+        const region = regions[pos];
+        var near = false;
+
+        for (var dy = -gap; dy <= gap && !near; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= h)
+            continue;
+
+          for (var dx = -gap; dx <= gap; dx++) {
+            const npos = ny * w + GameUtils.repeat(x + dx, w);
+            if (regions[npos] < region && tiles[npos].id !== TerrainType.Ocean) {
+              near = true;
+              break;
+            }
+          }
+        }
+
+        // Regions are sorted by size, only the smaller region gives way.
+        if (near)
+          remove.push(x, y);
+      }
+    }
+
+    for (var i = 0; i < remove.length; i += 2)
+      map.setTileId(remove[i], remove[i + 1], TerrainType.Ocean);
+  }
+
+  /**
+   * Make sure the map has at least `count` continents large enough for a
+   * city (see `Brush.City`) by drawing land at centers of regions that don't
+   * have one.
+   */
+  ensureContinents(count) {
+    const map = this.map;
+    const minSize = Brush.City.length;
+
+    if (count <= this.$countContinents(minSize))
+      return;
+
+    const w = map.w;
+    const regions = this.regions;
+    const centers = this.centers;
+
+    for (var i = 0; i < centers.length; i++) {
+      const center = centers[i];
+
+      var has = false;
+      for (var j = 0; j < map.continents.length && !has; j++) {
+        const continent = map.continents[j];
+        has = continent.size >= minSize && regions[continent.coords[1] * w + continent.coords[0]] === i;
+      }
+
+      if (!has)
+        this.draw(center.x, center.y, Brush.City, TerrainType.Grassland, TerrainType.Ocean);
+    }
+
+    map.recalc();
+
+    const found = this.$countContinents(minSize);
+    if (found < count)
+      FAILED(`Map '${map.w}x${map.h}' is too small for ${count} continents, only ${found} generated`);
+  }
+
+  $countContinents(minSize) {
+    return this.map.continents.filter(function(continent) { return continent.size >= minSize; }).length;
+  }
+
+  // Distance between two tiles, the map wraps horizontally.
+  $distance(x0, y0, x1, y1) {
+    const w = this.map.w;
+    const dx = Math.abs(x0 - x1);
+    return Math.hypot(Math.min(dx, w - dx), y0 - y1);
+  }
+
+  /**
+   * Generate a heightmap of the whole map.
+   *
+   * @return {Float32Array} Elevation of each tile in [0, 1] range.
+   */
+  generateHeightmap() {
+    const w = this.map.w;
+    const h = this.map.h;
+
+    const elevation = new Float32Array(w * h);
+    var amplitude = 1;
+    var cells = Math.max(Math.round(w / 16), 2);
+
+    for (var octave = 0; octave < this.octaves; octave++) {
+      this.$addNoise(elevation, cells, amplitude);
+      amplitude *= this.roughness;
+      cells *= 2;
+    }
+
+    // Lower the land towards the poles.
+    for (var y = 0; y < h; y++) {
+      const falloff = smoothStep(Math.min(Math.min(y, h - 1 - y) / (h * 0.15), 1));
+      for (var x = 0; x < w; x++)
+        elevation[y * w + x] *= 0.5 + falloff * 0.5;
+    }
+
+    return normalize(elevation);
+  }
+
+  // Add one octave of value noise having `cells` lattice cells horizontally,
+  // the lattice wraps horizontally so the noise is seamless across the edge.
+  $addNoise(dst, cells, amplitude) {
+    const w = this.map.w;
+    const h = this.map.h;
+
+    const gw = cells;
+    const gh = Math.max(Math.round(cells * h / w), 1) + 1;
+    const lattice = new Float32Array(gw * gh);
+
+    for (var i = 0; i < lattice.length; i++)
+      lattice[i] = this.random.drand();
+
+    const sx = gw / w;
+    const sy = (gh - 1) / h;
+
+    for (var y = 0; y < h; y++) {
+      const fy = (y + 0.5) * sy;
+      const y0 = Math.min(Math.floor(fy), gh - 2);
+      const ty = smoothStep(fy - y0);
+
+      for (var x = 0; x < w; x++) {
+        const fx = (x + 0.5) * sx;
+        const x0 = Math.floor(fx) % gw;
+        const x1 = (x0 + 1) % gw;
+        const tx = smoothStep(fx - Math.floor(fx));
+
+        const a = lattice[y0 * gw + x0] + (lattice[y0 * gw + x1] - lattice[y0 * gw + x0]) * tx;
+        const b = lattice[(y0 + 1) * gw + x0] + (lattice[(y0 + 1) * gw + x1] - lattice[(y0 + 1) * gw + x0]) * tx;
+
+        dst[y * w + x] += (a + (b - a) * ty) * amplitude;
+      }
+    }
+  }
+}
+mapgen.FractalMapGen = FractalMapGen;
+
+// Value above which lies `percent` of values of `arr` (sorted, highest first).
+function levelOf(arr, percent) {
+  const n = Math.floor(arr.length * percent / 100);
+  return n > 0 ? arr[Math.min(n, arr.length) - 1] : Infinity;
+}
+
+function smoothStep(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Scale values of `arr` in-place to [0, 1] range.
+function normalize(arr) {
+  var min = Infinity;
+  var max = -Infinity;
+
+  for (var i = 0; i < arr.length; i++) {
+    if (arr[i] < min) min = arr[i];
+    if (arr[i] > max) max = arr[i];
+  }
+
+  const scale = max > min ? 1 / (max - min) : 0;
+  for (var i = 0; i < arr.length; i++)
+    arr[i] = (arr[i] - min) * scale;
+
+  return arr;
+}
+
 mapgen.generators = {
-  simple: SimpleMapGen
+  simple : SimpleMapGen,
+  fractal: FractalMapGen
+};
+
+/**
+ * Map styles, which can be passed as `preset` to `Game.generateMap()`. Options
+ * passed together with the preset override the options of the preset.
+ *
+ * The `archipelago` preset gives each player a continent, so it requires the
+ * number of `players` to be passed as well.
+ */
+mapgen.presets = {
+  pangaea    : { generator: "fractal", landPercent: 40, continents: 1 },
+  continents : { generator: "fractal", landPercent: 35, continents: 4, oceanGap: 3 },
+  archipelago: { generator: "fractal", landPercent: 25, continents: 12, oceanGap: 2, continentPerPlayer: true },
+  inlandSea  : { generator: "fractal", landPercent: 40, continents: 1, inlandSea: true }
 };
 
 $export[$as] = mapgen;
@@ -1579,23 +1579,30 @@ class Renderer {
     }
     rendererTile.roadEdges = roadEdges;
 
-    // Calculate territory edges.
-    const territory = mapTile.territory;
+    // Calculate territory edges (as known to the player whose view is rendered).
+    const viewer = this._playerId !== -1 ? game.players[this._playerId] : null;
+    const territory = this.$getTerritory(viewer, mapTile);
     var territoryEdges = 0;
 
     if (territory !== -1) {
-      territoryEdges = (tl.territory === territory ? EdgeFlags.TopLeft     : 0) |
-                       (tc.territory === territory ? EdgeFlags.Top         : 0) |
-                       (tr.territory === territory ? EdgeFlags.TopRight    : 0) |
-                       (ml.territory === territory ? EdgeFlags.Left        : 0) |
-                       (mr.territory === territory ? EdgeFlags.Right       : 0) |
-                       (bl.territory === territory ? EdgeFlags.BottomLeft  : 0) |
-                       (bc.territory === territory ? EdgeFlags.Bottom      : 0) |
-                       (br.territory === territory ? EdgeFlags.BottomRight : 0) ;
+      territoryEdges = (this.$getTerritory(viewer, tl) === territory ? EdgeFlags.TopLeft     : 0) |
+                       (this.$getTerritory(viewer, tc) === territory ? EdgeFlags.Top         : 0) |
+                       (this.$getTerritory(viewer, tr) === territory ? EdgeFlags.TopRight    : 0) |
+                       (this.$getTerritory(viewer, ml) === territory ? EdgeFlags.Left        : 0) |
+                       (this.$getTerritory(viewer, mr) === territory ? EdgeFlags.Right       : 0) |
+                       (this.$getTerritory(viewer, bl) === territory ? EdgeFlags.BottomLeft  : 0) |
+                       (this.$getTerritory(viewer, bc) === territory ? EdgeFlags.Bottom      : 0) |
+                       (this.$getTerritory(viewer, br) === territory ? EdgeFlags.BottomRight : 0) ;
     }
     rendererTile.territoryEdges = territoryEdges;
   }
 
+  // Get territory of `tile` as `viewer` remembers it (or as it's if null).
+  $getTerritory(viewer, tile) {
+    const snapshot = viewer !== null ? viewer.getSnapshot(tile.x, tile.y) : null;
+    return snapshot !== null ? snapshot.territory : tile.territory;
+  }
+
   $addTransition(transitions, tex, msk, idx, sqSize) {
     const assets = this.game.assetStore.assets[msk];
     const index = assets.index;
@@ -1736,6 +1743,10 @@ class Renderer {
 
     const territoryImg = images[assets.byName("BlendMap.Territory").id];
 
+    // Player whose view is rendered, tiles out of its sight are rendered as
+    // the player remembers them.
+    const viewer = this._playerId !== -1 ? game.players[this._playerId] : null;
+
     for (;;) {
       // Initial grid-x coordinates.
       var dx = dxInit;
@@ -1758,8 +1769,10 @@ class Renderer {
         }
         else {
           // Fully or partially uncovered tile.
+          const snapshot = viewer !== null ? viewer.getSnapshot(tx, ty) : null;
+
           const id = mTile.id;
-          const modifiers = mTile.modifiers;
+          const modifiers = snapshot ? snapshot.modifiers : mTile.modifiers;
 
           if (id !== TerrainType.Ocean) {
             // Irrigation.
@@ -1805,26 +1818,26 @@ class Renderer {
           }
 
           // Render resource.
-          const resource = mTile.resource;
+          const resource = snapshot ? snapshot.resource : mTile.resource;
           const resInfo = resource !== -1 ? defs.resources[resource] : null;
 
           if (resInfo)
             ctx.drawImage(miscImg, resInfo.assetX * tileSize, resInfo.assetY * tileSize, tileSize, tileSize, dx, dy, tileSize, tileSize);
 
           // Render city and units.
-          const city = mTile.city;
-          const units = mTile.units;
+          const city = snapshot ? snapshot.city : mTile.city;
+          const units = snapshot ? null : mTile.units;
 
           if (city !== null) {
             // City rendering.
-            const player = city.player;
+            const player = snapshot ? game.players[city.player] : city.player;
             const colorSlot = player.colorSlot;
             const colors = defs.colors[colorSlot];
             ctx.drawImage(unitsImg, 0, colorSlot * tileSize, tileSize, tileSize, dx, dy, tileSize, tileSize);
 
             // TODO: City walls - Anything in a city that requires special rendering
             // should be configurable in defs, this is so bound to the "civ" game.
-            if (city.hasBuilding("City Walls"))
+            if (snapshot ? city.walls : city.hasBuilding("City Walls"))
               ctx.drawImage(miscImg, 32, 128, tileSize, tileSize, dx, dy, tileSize, tileSize);
 
             // Defended city.
@@ -1862,6 +1875,12 @@ class Renderer {
               ctx.drawImage(unitsImg, tx, ty, tileSize, tileSize, dx - 2, dy - 2, tileSize, tileSize);
           }
 
+          // Dim tiles out of sight.
+          if (snapshot) {
+            ctx.fillStyle = "rgba(0, 0, 0, 0.4)";
+            ctx.fillRect(dx, dy, tileSize, tileSize);
+          }
+
           // Cover edges.
           if (coverEdges !== 0) {
             const texX = Math.floor((this.worldX + dx) % 256);
@@ -1871,7 +1890,7 @@ class Renderer {
           }
 
           // Territory.
-          const territory = mTile.territory;
+          const territory = snapshot ? snapshot.territory : mTile.territory;
           if (territory !== -1) {
             const territoryEdges = rTile.territoryEdges;
             if (territoryEdges !== 0xFF) {
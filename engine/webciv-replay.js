@@ -0,0 +1,369 @@
+// [WebCiv]
+// A Strategy Game Engine in JavaScript.
+//
+// [License]
+// MIT - See LICENSE.md file in the package.
+(function(core, $export, $as) {
+"use strict";
+
+const FAILED = core.FAILED;
+const GameError = core.GameError;
+
+const Game = core.Game;
+const GameTimer = core.GameTimer;
+const GameUtils = core.GameUtils;
+const Observable = core.Observable;
+
+const replay = Object.create(null);
+
+// ============================================================================
+// [ReplayFormat]
+// ============================================================================
+
+/**
+ * Replay format.
+ *
+ * A replay contains the initial state of the game's random number generator,
+ * the setup (map creation and generation, resources, and players) and the
+ * stream of entries, which is either a successfully executed command, a
+ * change of game settings done during the game (the same operation as in
+ * setup), or a start of a player's turn, which carries the hash of the game
+ * state.
+ */
+const ReplayFormat = Object.freeze({
+  Name: "webciv-replay",
+  Version: 1
+});
+replay.ReplayFormat = ReplayFormat;
+
+// ============================================================================
+// [ReplayRecorder]
+// ============================================================================
+
+/**
+ * Records a game so it can be replayed by `ReplayPlayer`.
+ *
+ * The recorder must be attached to a new game before its map is created,
+ * otherwise the setup of the game would be incomplete.
+ */
+class ReplayRecorder {
+  constructor(game) {
+    if (game.map.w !== 0)
+      FAILED(`ReplayRecorder must be attached before the map is created`);
+
+    this.game = game;                      // Game being recorded.
+    this.recording = false;                // Whether the recorder is active.
+
+    this.data = {
+      format : ReplayFormat.Name,
+      version: ReplayFormat.Version,
+      defs   : { name: game.defs.name, version: game.defs.version },
+      random : game.random.serialize(),
+      setup  : [],
+      entries: []
+    };
+
+    this.start();
+  }
+
+  start() {
+    if (this.recording)
+      return this;
+
+    const game = this.game;
+    game.on("mapCreated"        , this.$onMapCreated        , this);
+    game.on("mapGenerated"      , this.$onMapGenerated      , this);
+    game.on("resourcesGenerated", this.$onResourcesGenerated, this);
+    game.on("playersGenerated"  , this.$onPlayersGenerated  , this);
+    game.on("command"           , this.$onCommand           , this);
+    game.on("turnStart"         , this.$onTurnStart         , this);
+    game.on("turnModeChanged"   , this.$onTurnModeChanged   , this);
+    game.on("victoryChanged"    , this.$onVictoryChanged    , this);
+
+    this.recording = true;
+    return this;
+  }
+
+  stop() {
+    if (!this.recording)
+      return this;
+
+    const game = this.game;
+    game.off("mapCreated"        , this.$onMapCreated        , this);
+    game.off("mapGenerated"      , this.$onMapGenerated      , this);
+    game.off("resourcesGenerated", this.$onResourcesGenerated, this);
+    game.off("playersGenerated"  , this.$onPlayersGenerated  , this);
+    game.off("command"           , this.$onCommand           , this);
+    game.off("turnStart"         , this.$onTurnStart         , this);
+    game.off("turnModeChanged"   , this.$onTurnModeChanged   , this);
+    game.off("victoryChanged"    , this.$onVictoryChanged    , this);
+
+    this.recording = false;
+    return this;
+  }
+
+  /**
+   * Get the recorded replay (JSON compatible).
+   */
+  getReplay() {
+    return GameUtils.cloneDeep(this.data);
+  }
+
+  $onMapCreated(w, h) {
+    this.data.setup.push({ op: "createMap", args: [w, h] });
+  }
+
+  $onMapGenerated(info) {
+    this.data.setup.push({ op: "generateMap", args: [GameUtils.cloneDeep(info)] });
+  }
+
+  $onResourcesGenerated(info) {
+    this.data.setup.push({ op: "generateResources", args: [GameUtils.cloneDeep(info)] });
+  }
+
+  $onPlayersGenerated(count, info) {
+    this.data.setup.push({ op: "generatePlayers", args: [count, GameUtils.cloneDeep(info)] });
+  }
+
+  $onCommand(data, result) {
+    if (result.ok)
+      this.data.entries.push({ command: GameUtils.cloneDeep(data) });
+  }
+
+  $onTurnModeChanged(mode) {
+    this.$pushOp("setTurnMode", [mode]);
+  }
+
+  // The custom condition is a function, which cannot be recorded.
+  $onVictoryChanged(victory) {
+    this.$pushOp("setVictory", [{ conquest: victory.conquest, turnLimit: victory.turnLimit, technology: victory.technology }]);
+  }
+
+  // Operations done before the first entry are part of the setup.
+  $pushOp(op, args) {
+    const step = { op: op, args: args };
+    if (this.data.entries.length)
+      this.data.entries.push(step);
+    else
+      this.data.setup.push(step);
+  }
+
+  $onTurnStart(player) {
+    const game = this.game;
+    this.data.entries.push({ turn: game.turnIndex, player: player.slot, hash: game.hash() });
+  }
+}
+replay.ReplayRecorder = ReplayRecorder;
+
+// ============================================================================
+// [ReplayPlayer]
+// ============================================================================
+
+/**
+ * Plays a replay recorded by `ReplayRecorder`.
+ *
+ * The player re-simulates the game from its setup by executing recorded
+ * commands, so it can only move forward - seeking backward restarts the game
+ * and simulates it again up to the requested turn. The state hash is verified
+ * at the start of each player's turn and "desync" is emitted if it differs.
+ *
+ * Events:
+ *   - "reset" (game) - The game was created (again).
+ *   - "turn" (turn, playerSlot) - A turn of a player started.
+ *   - "desync" (info) - The simulation diverged from the recording.
+ *   - "end" - Reached the end of the replay.
+ */
+class ReplayPlayer extends Observable {
+  constructor(defs, data) {
+    super();
+
+    if (data === null || typeof data !== "object")
+      FAILED("The 'data' argument must be an object");
+
+    if (data.format !== ReplayFormat.Name)
+      FAILED(`Replay format '${data.format}' not recognized`);
+
+    if (data.version !== ReplayFormat.Version)
+      FAILED(`Replay version '${data.version}' not supported, expected '${ReplayFormat.Version}'`);
+
+    const replayDefs = data.defs || {};
+    if (replayDefs.name !== defs.name || replayDefs.version !== defs.version)
+      FAILED(`Replay was recorded with definitions '${replayDefs.name}' (${replayDefs.version}), which are incompatible with '${defs.name}' (${defs.version})`);
+
+    this.defs = defs;                      // Game definitions.
+    this.data = data;                      // Replay data.
+    this.game = null;                      // Game being simulated.
+    this.position = 0;                     // Index of the next entry to process.
+    this.turn = -1;                        // Turn of the last processed turn entry.
+    this.desync = null;                    // Desync information, if happened.
+
+    this.timer = new GameTimer();
+    this.timer.on("timer", this.$onTimer, this);
+
+    this.reset();
+  }
+
+  get length() {
+    return this.data.entries.length;
+  }
+
+  isFinished() {
+    return this.position >= this.data.entries.length;
+  }
+
+  isPlaying() {
+    return this.timer.isRunning();
+  }
+
+  /**
+   * Create the game again and run the setup.
+   */
+  reset() {
+    const data = this.data;
+    const game = new Game(this.defs);
+
+    game.autoTurn = false;
+    game.random.deserialize(data.random);
+
+    for (var i = 0; i < data.setup.length; i++)
+      ReplayPlayer.$runOp(game, data.setup[i]);
+
+    // Players are controlled by the recorded commands, not by AI.
+    for (var i = 0; i < game.players.length; i++) {
+      const player = game.players[i];
+      if (player && player.ai)
+        player.setAI(null);
+    }
+
+    this.game = game;
+    this.position = 0;
+    this.turn = -1;
+    this.desync = null;
+
+    this.emit("reset", game);
+    return this;
+  }
+
+  /**
+   * Play the replay, one turn of a player per `interval` (ms).
+   */
+  play(interval) {
+    this.timer.setInterval(interval || 500);
+    this.timer.start();
+    return this;
+  }
+
+  pause() {
+    this.timer.stop();
+    return this;
+  }
+
+  /**
+   * Process the next entry (command, operation, or a start of turn).
+   *
+   * Returns false if there is nothing to process or the replay desynced.
+   */
+  stepEntry() {
+    if (this.desync !== null || this.isFinished())
+      return false;
+
+    const game = this.game;
+    const position = this.position;
+    const entry = this.data.entries[this.position++];
+
+    if (entry.command) {
+      const result = game.execute(entry.command);
+      if (!result.ok)
+        return this.$desync({ position: position, turn: game.turnIndex, error: result.error });
+    }
+    else if (entry.op) {
+      try {
+        ReplayPlayer.$runOp(game, entry);
+      }
+      catch (ex) {
+        if (!(ex instanceof GameError))
+          throw ex;
+        return this.$desync({ position: position, turn: game.turnIndex, error: ex.message });
+      }
+    }
+    else {
+      // In simultaneous mode a single turn starts for all players at once.
+      if (game.turns.isPending())
+        game.startTurn();
+
+      const player = game.players[entry.player];
+      if (game.turnIndex !== entry.turn || !player || !game.turns.canAct(player))
+        return this.$desync({ position: position, turn: game.turnIndex, error: `Expected turn ${entry.turn} of player #${entry.player}` });
+
+      const hash = game.hash();
+      if (hash !== entry.hash)
+        return this.$desync({ position: position, turn: game.turnIndex, error: `State hash ${hash} differs from recorded ${entry.hash}` });
+
+      this.turn = entry.turn;
+      this.emit("turn", entry.turn, entry.player);
+    }
+
+    if (this.isFinished()) {
+      this.pause();
+      this.emit("end");
+    }
+
+    return true;
+  }
+
+  /**
+   * Process entries up to and including the start of the next player's turn.
+   */
+  step() {
+    const entries = this.data.entries;
+    while (this.stepEntry()) {
+      if (entries[this.position - 1].turn !== undefined)
+        return true;
+    }
+    return false;
+  }
+
+  /**
+   * Seek to the start of the first recorded turn `turn` (zero indexed).
+   */
+  seek(turn) {
+    if (this.turn > turn || this.desync !== null)
+      this.reset();
+
+    while (this.turn < turn && this.step())
+      continue;
+    return this;
+  }
+
+  $desync(info) {
+    this.desync = info;
+    this.pause();
+    this.emit("desync", info);
+    return false;
+  }
+
+  $onTimer() {
+    this.step();
+  }
+
+  static $runOp(game, step) {
+    const args = step.args || [];
+
+    switch (step.op) {
+      case "createMap"        : game.createMap(args[0], args[1]); break;
+      case "generateMap"      : game.generateMap(args[0]); break;
+      case "generateResources": game.generateResources(args[0]); break;
+      case "generatePlayers"  : game.generatePlayers(args[0], args[1]); break;
+      case "setTurnMode"      : game.turns.setMode(args[0]); break;
+      case "setVictory"       : game.setVictory(args[0]); break;
+      default:
+        FAILED(`Replay contains unknown operation '${step.op}'`);
+    }
+  }
+}
+replay.ReplayPlayer = ReplayPlayer;
+
+$export[$as] = replay;
+
+}).apply(null, typeof this.webciv === "object"
+  ? [this.webciv, this.webciv, "replay"] : [require("./webciv-core"), module, "exports"]);
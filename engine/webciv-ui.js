@@ -205,9 +205,10 @@ class CivUI {
   onAttach(game) {
     this.game = game;
 
-    this.game.on("uncovered"       , this.onUncovered       , this);
-    this.game.on("rendererAttached", this.onRendererAttached, this);
-    this.game.on("rendererDetached", this.onRendererDetached, this);
+    this.game.on("uncovered"        , this.onUncovered       , this);
+    this.game.on("visibilityChanged", this.onUncovered       , this);
+    this.game.on("rendererAttached" , this.onRendererAttached, this);
+    this.game.on("rendererDetached" , this.onRendererDetached, this);
 
     if (game.renderer !== null)
       this.onRendererAttached(game.renderer);
@@ -218,9 +219,10 @@ class CivUI {
     if (game.renderer !== null)
       this.onRendererDetached(game.renderer);
 
-    this.game.off("uncovered"       , this.onUncovered       , this);
-    this.game.off("rendererAttached", this.onRendererAttached, this);
-    this.game.off("rendererDetached", this.onRendererDetached, this);
+    this.game.off("uncovered"        , this.onUncovered       , this);
+    this.game.off("visibilityChanged", this.onUncovered       , this);
+    this.game.off("rendererAttached" , this.onRendererAttached, this);
+    this.game.off("rendererDetached" , this.onRendererDetached, this);
 
     this.game = null;
   }
@@ -486,7 +488,7 @@ class CivUI {
         break;
 
       case "e": {
-        this.game.endOfTurn();
+        this.game.execute({ type: "EndTurn", player: this.game.turnPlayerSlot });
         break;
       }
     }
@@ -544,7 +546,8 @@ class CivUI {
                            TerrainModifier.kIrrigation);
       }
 
-      map.setTileIdAndModifiers(tile.x, tile.y, tileId, tileModifiers);
+      if (tileId !== tile.id || tileModifiers !== tile.modifiers)
+        this.game.execute({ type: "EditTile", x: tile.x, y: tile.y, id: tileId, modifiers: tileModifiers });
     }
   }
 
@@ -4,17 +4,443 @@
 // [License]
 // MIT - See LICENSE.md file in the package.
 
-// This is just a minimal HTTP server to serve static files - there is no server code atm.
+// HTTP server that serves static files and hosts authoritative games, which
+// clients play through a WebSocket connection (see `GameSession`).
 "use strict";
 
+const http = require("http");
 const express = require("express");
+const WebSocket = require("ws");
+const webciv = require("./engine");
 
-const server = express();
 const port = 8001;
+const defs = new webciv.GameDefs(webciv.defs).finalize();
 
-server.get('/', function(req, res) { res.sendFile(__dirname + '/index.html'); });
-server.use("/assets", express.static(__dirname + "/assets"));
-server.use("/engine", express.static(__dirname + "/engine"));
+// ============================================================================
+// [PlayerView]
+// ============================================================================
+
+/**
+ * State of the map already sent to a client.
+ *
+ * Each tile the player has uncovered is converted to a compact string key
+ * and only tiles whose key changed since the last sync are sent. Tiles the
+ * player has never uncovered are never sent and tiles out of the player's
+ * sight are sent as the player remembers them (without units), so the client
+ * cannot learn more about the map than the player knows.
+ *
+ * The state of the player itself (treasury, rates, research and cities) is
+ * only sent to its owner and only when it changed since the last sync.
+ */
+class PlayerView {
+  constructor(player) {
+    this.player = player;
+    this.tiles = [];                       // Last tile state sent, indexed by tile index.
+    this.self = "";                        // Last player state sent (key).
+  }
+
+  /**
+   * Get the state of `player` known only to its owner.
+   */
+  static selfState(player) {
+    return {
+      gold: player.gold,
+      goldPerTurn: player.goldPerTurn,
+      upkeepPerTurn: player.upkeepPerTurn,
+      taxRate: player.taxRate,
+      scienceRate: player.scienceRate,
+      luxuryRate: player.luxuryRate,
+      technologies: player.technologies,
+      research: player.research,
+      researchGoal: player.researchGoal,
+      sciencePerTurn: player.sciencePerTurn,
+      scienceCount: player.scienceCount,
+      cities: player.cities.map(function(city) {
+        return {
+          uuid: city.uuid,
+          name: city.name,
+          x: city.x,
+          y: city.y,
+          size: city.size,
+          buildings: city.buildings.map(function(building) { return building.id; }),
+          disorder: city.disorder,
+          foodPerTurn: city.foodPerTurn,
+          foodCount: city.foodCount,
+          productionPerTurn: city.productionPerTurn,
+          productionCount: city.productionCount,
+          production: city.production,
+          queue: city.queue,
+          repeat: city.repeat
+        };
+      })
+    };
+  }
+
+  /**
+   * Get the tile state as seen by `player`.
+   */
+  static tileState(tile, player) {
+    const snapshot = player.getSnapshot(tile.x, tile.y);
+    if (snapshot !== null) {
+      const city = snapshot.city;
+      return [tile.id, snapshot.modifiers, snapshot.resource, snapshot.territory,
+        city ? { name: city.name, size: city.size, player: city.player } : null, []];
+    }
+
+    const state = [tile.id, tile.modifiers, tile.resource, tile.territory];
+
+    const city = tile.city;
+    state.push(city ? { uuid: city.uuid, name: city.name, size: city.size, player: city.player.slot } : null);
+
+    const units = [];
+    for (var unit = tile.units; unit !== null; unit = unit.next) {
+      const info = { uuid: unit.uuid, id: unit.id, player: unit.player.slot };
+
+      // Only the owner knows how many moves are left.
+      if (unit.player === player)
+        info.moves = unit.moves;
+      units.push(info);
+    }
+    state.push(units);
+
+    return state;
+  }
+
+  /**
+   * Calculate tiles that changed since the last call.
+   */
+  diff() {
+    const player = this.player;
+    const map = player.game.map;
+
+    const w = map.w;
+    const tiles = map.tiles;
+    const uncovered = player.uncovered;
+    const sent = this.tiles;
+    const changed = [];
+
+    for (var i = 0; i < tiles.length; i++) {
+      if (!(uncovered[i >>> 5] & (1 << (i & 0x1F))))
+        continue;
+
+      const state = PlayerView.tileState(tiles[i], player);
+      const key = JSON.stringify(state);
+
+      if (sent[i] !== key) {
+        sent[i] = key;
+        changed.push([i % w, Math.floor(i / w), state]);
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get the player state if it changed since the last call, null otherwise.
+   */
+  diffSelf() {
+    const state = PlayerView.selfState(this.player);
+    const key = JSON.stringify(state);
+
+    if (this.self === key)
+      return null;
+
+    this.self = key;
+    return state;
+  }
+}
+
+// ============================================================================
+// [GameSession]
+// ============================================================================
+
+/**
+ * A game hosted by the server.
+ *
+ * The server owns the only `Game` instance, clients only send commands and
+ * receive state diffs. Slots not controlled by a client are played by AI.
+ */
+class GameSession {
+  constructor(id, info) {
+    const game = new webciv.Game(defs);
+    const numPlayers = webciv.GameUtils.clamp(Math.floor(info.players) || 8, 2, defs.civilizations.length);
+
+    game.createMap(64, 48);
+    game.generateMap({
+      generator: "simple",
+      landSize: 22,
+      landMass: 800
+    });
+    game.generateResources({});
+    game.generatePlayers(numPlayers);
+
+    this.id = id;                          // Session id.
+    this.game = game;                      // Authoritative game.
+    this.clients = new Set();              // Connected clients.
+    this.syncPending = false;              // Sync scheduled.
+
+    // Every player starts as AI, clients take over slots when they join.
+    for (var i = 0; i < game.players.length; i++) {
+      const player = game.players[i];
+      if (player && !player.ai)
+        player.setAI(new webciv.ai.SimpleAI());
+    }
+
+    game.on("turnStart", this.scheduleSync, this);
+    this.kick();
+  }
+
+  // Start the pending turn or let AI play slots it took over.
+  kick() {
+    this.game.turns.resume();
+  }
+
+  findFreeSlot(preferred) {
+    const players = this.game.players;
+    const taken = new Set();
+
+    for (const client of this.clients)
+      taken.add(client.player.slot);
+
+    if (typeof preferred === "number") {
+      const player = players[preferred];
+      return player && !taken.has(preferred) ? preferred : -1;
+    }
+
+    for (var i = 0; i < players.length; i++)
+      if (players[i] && !taken.has(i))
+        return i;
+
+    return -1;
+  }
+
+  join(client, slot) {
+    const game = this.game;
+    const map = game.map;
+    const player = game.players[slot];
+
+    player.setAI(null);
+
+    client.session = this;
+    client.player = player;
+    client.view = new PlayerView(player);
+    this.clients.add(client);
+
+    client.send({
+      type: "welcome",
+      game: this.id,
+      defs: { name: defs.name, version: defs.version },
+      map: { w: map.w, h: map.h, flipX: map.flipX, flipY: map.flipY },
+      slot: slot,
+      players: game.players.map(function(player) {
+        return player ? { name: player.name, civ: player.civ, colorSlot: player.colorSlot } : null;
+      })
+    });
+
+    this.sync(client);
+  }
+
+  leave(client) {
+    if (!this.clients.delete(client))
+      return;
+
+    // Keep the game going, the player is now played by AI.
+    client.player.setAI(new webciv.ai.SimpleAI());
+    client.session = null;
+    client.player = null;
+    client.view = null;
+
+    this.kick();
+  }
+
+  // Stop the game, called when the last client leaves.
+  close() {
+    const game = this.game;
+
+    game.off("turnStart", this.scheduleSync, this);
+    game.turns.stop();
+  }
+
+  scheduleSync() {
+    if (this.syncPending)
+      return;
+
+    this.syncPending = true;
+    setImmediate(() => {
+      this.syncPending = false;
+      for (const client of this.clients)
+        this.sync(client);
+    });
+  }
+
+  sync(client) {
+    const game = this.game;
+    const view = client.view;
+
+    client.send({
+      type: "state",
+      turn: game.turnIndex,
+      turnPlayer: game.turnPlayerSlot,
+      tiles: view.diff(),
+      self: view.diffSelf()
+    });
+  }
+
+  /**
+   * Execute a command sent by `client`, see `Game.execute()`.
+   *
+   * The command is always issued on behalf of the client's player and editor
+   * commands are rejected. Returns the result of the command.
+   */
+  execute(client, command) {
+    if (!command || typeof command !== "object")
+      return { ok: false, error: "Invalid command" };
+
+    const Command = webciv.commands[command.type];
+    if (Command && Command.editor)
+      return { type: command.type, ok: false, error: `Command '${command.type}' is not allowed` };
+
+    const result = this.game.execute(Object.assign({}, command, { player: client.player.slot }));
+    if (result.ok)
+      this.scheduleSync();
+    return result;
+  }
+}
+
+// ============================================================================
+// [GameClient]
+// ============================================================================
+
+/**
+ * A client connected through a WebSocket.
+ *
+ * Protocol (JSON messages):
+ *   - Client: `{ type: "join", game: "<id>", slot: <optional>, players: <optional> }`
+ *   - Client: `{ type: "command", id: <any>, command: { type: "MoveUnit", ... } }` - see `webciv.commands`.
+ *   - Server: `{ type: "welcome", ... }` - sent after a successful join.
+ *   - Server: `{ type: "state", turn, turnPlayer, tiles: [[x, y, state], ...], self }` - diff, `self` is
+ *     the client's own player state (gold, rates, research, cities), or null if it didn't change.
+ *   - Server: `{ type: "result", id, result }` - result of a command, see `Game.execute()`.
+ *   - Server: `{ type: "error", message }` - protocol error.
+ */
+class GameClient {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+
+    this.session = null;
+    this.player = null;
+    this.view = null;
+
+    socket.on("message", (data) => this.onMessage(data));
+    socket.on("close", () => this.onClose());
+  }
+
+  send(msg) {
+    if (this.socket.readyState === WebSocket.OPEN)
+      this.socket.send(JSON.stringify(msg));
+  }
+
+  onMessage(data) {
+    var msg;
+    try {
+      msg = JSON.parse(String(data));
+    }
+    catch (ex) {
+      return this.send({ type: "error", message: "Message is not a valid JSON" });
+    }
+
+    if (!msg || typeof msg !== "object")
+      return this.send({ type: "error", message: "Message must be an object" });
+
+    switch (msg.type) {
+      case "join": {
+        if (this.session)
+          return this.send({ type: "error", message: "Already joined" });
+
+        const session = this.server.getSession(String(msg.game || "default"), msg);
+        const slot = session.findFreeSlot(msg.slot);
+
+        if (slot === -1)
+          return this.send({ type: "error", message: "No free player slot" });
+
+        session.join(this, slot);
+        break;
+      }
+
+      case "command": {
+        if (!this.session)
+          return this.send({ type: "error", message: "Not joined" });
+
+        var result;
+        try {
+          result = this.session.execute(this, msg.command);
+        }
+        catch (ex) {
+          // A command that passed validation must never throw, report it
+          // so the bug is visible, but don't take the whole server down.
+          console.error(ex);
+          result = { ok: false, error: "Internal error" };
+        }
+
+        this.send({ type: "result", id: msg.id, result: result });
+        break;
+      }
+
+      default:
+        this.send({ type: "error", message: `Unknown message type '${msg.type}'` });
+        break;
+    }
+  }
+
+  onClose() {
+    const session = this.session;
+    if (session) {
+      session.leave(this);
+      if (session.clients.size === 0)
+        this.server.closeSession(session);
+    }
+  }
+}
+
+// ============================================================================
+// [GameServer]
+// ============================================================================
+
+class GameServer {
+  constructor(httpServer) {
+    this.sessions = new Map();
+    this.wss = new WebSocket.Server({ server: httpServer, path: "/ws" });
+    this.wss.on("connection", (socket) => new GameClient(this, socket));
+  }
+
+  getSession(id, info) {
+    var session = this.sessions.get(id);
+    if (!session) {
+      session = new GameSession(id, info);
+      this.sessions.set(id, session);
+    }
+    return session;
+  }
+
+  closeSession(session) {
+    session.close();
+    this.sessions.delete(session.id);
+  }
+}
+
+// ============================================================================
+// [Main]
+// ============================================================================
+
+const app = express();
+
+app.get('/', function(req, res) { res.sendFile(__dirname + '/index.html'); });
+app.use("/assets", express.static(__dirname + "/assets"));
+app.use("/engine", express.static(__dirname + "/engine"));
+
+const server = http.createServer(app);
+const gameServer = new GameServer(server);
 
 server.listen(port, function(err) {
   if (err) throw err;